@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+// player-alert — command-line access to the Player Entry Alert service.
+// Runs standalone (statsapi/SendGrid straight from this machine, reusing server.js helpers) or,
+// with --server / PLAYER_ALERT_SERVER, against a running service's /api using an API token.
+const { parseArgs } = require('util');
+const axios = require('axios');
+
+const USAGE = `Usage: player-alert <command> [options]
+
+Commands:
+  status      --player <name> | --person-id <id>  (--game <gamePk> | --team <name> [--date])
+  find-game   --team <name> [--date YYYY-MM-DD]
+  watch start --player <name>[,<name>…] [--team] [--game] [--date] [--events a,b]
+              [--email <addr>] [--sms <+1…>] [--follow] [--until <date>|season]   (server only)
+  watch roster --team <name>[,<name>…] [--player <name>,…] [--events a,b] [--interval <min>]
+              [--email <addr>] [--sms <+1…>]                                      (server only)
+  watch stop  <id>                                                               (server only)
+  watch list
+  alerts tail [-n <count>] [--player] [--channel] [--follow]
+  test email  --to <addr>
+  inbound sms   --from <+1…> <reply…>                                            (server only)
+  inbound email --from <addr> <reply…>                                           (server only)
+
+Options:
+  --server <url>   use a running service (default $PLAYER_ALERT_SERVER; standalone if unset)
+  --token <token>  API token for --server (default $PLAYER_ALERT_TOKEN)
+  --sport-id <id>  statsapi sportId (default 11, the AFL)
+  --timezone <tz>  IANA timezone that "today" and --date mean (default: the league's venue timezone)
+  --json           print JSON instead of text
+
+inbound posts a reply to the service's webhooks as Twilio or SendGrid would, signed with
+$TWILIO_AUTH_TOKEN (sms) or $INBOUND_EMAIL_SECRET (email).
+`;
+
+const OPTIONS = {
+  server: { type: 'string' },
+  token: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  player: { type: 'string' },
+  'person-id': { type: 'string' },
+  game: { type: 'string' },
+  team: { type: 'string' },
+  date: { type: 'string' },
+  'sport-id': { type: 'string' },
+  timezone: { type: 'string' },
+  simulate: { type: 'boolean' },
+  events: { type: 'string' },
+  email: { type: 'string' },
+  sms: { type: 'string' },
+  follow: { type: 'boolean' },
+  until: { type: 'string' },
+  interval: { type: 'string' },
+  to: { type: 'string' },
+  channel: { type: 'string' },
+  n: { type: 'string', short: 'n' },
+  from: { type: 'string' },
+};
+
+class UsageError extends Error {}
+
+// Helpers from server.js, loaded only when running standalone (requiring it reads the data stores)
+let server = null;
+const local = () => server || (server = require('../server'));
+
+function api(opts) {
+  const baseURL = `${opts.server.replace(/\/+$/, '')}/api`;
+  const headers = opts.token ? { Authorization: `Bearer ${opts.token}` } : {};
+  const client = axios.create({ baseURL, headers, timeout: 30000 });
+  client.interceptors.response.use(null, e => {
+    throw new Error(e.response?.data?.error || e.message);
+  });
+  return client;
+}
+
+const list = value => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+
+function print(opts, value, text) {
+  if (opts.json) console.log(JSON.stringify(value, null, 2));
+  else console.log(text(value));
+}
+
+// ---------- Commands ----------
+async function status(opts) {
+  const { player, 'person-id': personId, team, date, simulate } = opts;
+  if (!player && !personId) throw new UsageError('status needs --player or --person-id');
+  if (!opts.game && !team && !simulate) throw new UsageError('status needs --game or --team');
+  let result;
+  if (opts.server) {
+    const client = api(opts);
+    let gamePk = opts.game;
+    if (!gamePk && !simulate) {
+      ({ data: { gamePk } } = await client.get('/gamePk', { params: { team, date, sportId: opts['sport-id'], timezone: opts.timezone } }));
+      if (!gamePk) throw new Error(`No game found for ${team} near ${date || 'today'}`);
+    }
+    const { data } = await client.get('/playerStatus', {
+      params: { gamePk, playerName: player, personId, team, simulate: simulate ? '1' : undefined },
+    });
+    result = { gamePk: gamePk ? String(gamePk) : null, ...data };
+  } else {
+    const { getStatusOnce, resolveGamePkIfNeeded, resolveLeague, resolveTimeZone } = local();
+    const league = await resolveLeague({ sportId: opts['sport-id'] });
+    league.timezone = await resolveTimeZone({ timezone: opts.timezone, ...league });
+    const gamePk = await resolveGamePkIfNeeded(team, date, opts.game, simulate, league);
+    result = { gamePk, ...await getStatusOnce({ gamePk, playerName: player, personId, simulate }) };
+  }
+  print(opts, result, s =>
+    `${s.player || s.fullName || player || `#${personId}`}: ${s.inGame ? 'IN the game' : 'not in the game'}` +
+    ` — ${s.position || '-'}, batting ${s.battingOrder || '-'}, ${s.side || '-'} (game ${s.gamePk}, ${s.rawGameState})`);
+}
+
+async function findGame(opts) {
+  if (!opts.team) throw new UsageError('find-game needs --team');
+  let game;
+  if (opts.server) {
+    ({ data: game } = await api(opts).get('/gamePk', {
+      params: { team: opts.team, date: opts.date, sportId: opts['sport-id'], timezone: opts.timezone },
+    }));
+  } else {
+    const { resolveLeague, resolveTimeZone, getTeamIdByName, findNearestGame, ymd } = local();
+    const league = await resolveLeague({ sportId: opts['sport-id'] });
+    const date = opts.date || ymd(new Date(), await resolveTimeZone({ timezone: opts.timezone, ...league }));
+    const teamId = await getTeamIdByName(opts.team, league);
+    game = await findNearestGame(teamId, date, league) || { gamePk: null, status: 'No game found in +/-3 days', date };
+  }
+  print(opts, game, g => (g.gamePk
+    ? [`${g.gamePk}  ${g.date}  ${g.status}`, ...(g.games || []).filter(x => x.gamePk !== g.gamePk).map(x => `${x.gamePk}  ${x.date}  ${x.status} (game ${x.gameNumber})`)].join('\n')
+    : g.status));
+}
+
+async function watch(opts, [sub, id]) {
+  if (sub === 'list') return watchList(opts);
+  if (!opts.server) throw new UsageError(`watch ${sub || ''} needs a running server: pass --server <url>`);
+  const client = api(opts);
+  if (sub === 'start') {
+    const players = list(opts.player);
+    if (!players.length && !opts['person-id']) throw new UsageError('watch start needs --player or --person-id');
+    const { data } = await client.post('/watch/start', {
+      players: players.length ? players.map(playerName => ({ playerName })) : undefined,
+      personId: opts['person-id'],
+      team: opts.team,
+      gamePk: opts.game,
+      date: opts.date,
+      timezone: opts.timezone,
+      sportId: opts['sport-id'],
+      simulate: Boolean(opts.simulate),
+      follow: Boolean(opts.follow),
+      until: opts.until,
+      events: opts.events ? list(opts.events) : undefined,
+      emailTo: opts.email,
+      smsTo: opts.sms,
+    });
+    return print(opts, data, d => `Started watcher ${d.id} for ${d.targets.map(t => t.playerName).join(', ')} (game ${d.gamePks.join(', ') || 'next scheduled'})`);
+  }
+  if (sub === 'roster') {
+    const teams = list(opts.team);
+    if (!teams.length) throw new UsageError('watch roster needs --team');
+    const players = list(opts.player);
+    const { data } = await client.post('/watch/roster', {
+      teams,
+      players: players.length ? players : undefined,
+      sportId: opts['sport-id'],
+      timezone: opts.timezone,
+      intervalMin: opts.interval,
+      events: opts.events ? list(opts.events) : undefined,
+      emailTo: opts.email,
+      smsTo: opts.sms,
+    });
+    return print(opts, data, d => `Started roster watcher ${d.id} for ${d.targets.map(t => t.team).join(', ')}`);
+  }
+  if (sub === 'stop') {
+    if (!id) throw new UsageError('watch stop needs a watcher id');
+    const { data } = await client.post('/watch/stop', { id });
+    return print(opts, data, () => `Stopped watcher ${id}`);
+  }
+  throw new UsageError(`Unknown watch command "${sub || ''}" (expected start, roster, stop or list)`);
+}
+
+async function watchList(opts) {
+  let watchers;
+  if (opts.server) {
+    ({ data: { watchers } } = await api(opts).get('/watch'));
+  } else {
+    // Standalone can only read what the service last saved
+    const { watchers: saved } = local().loadWatchStore();
+    watchers = Object.values(saved).filter(w => !w.stopped).map(w => ({
+      id: w.id,
+      kind: w.params?.kind || 'game',
+      owner: w.params?.owner || null,
+      events: w.params?.events || ['entered'],
+      targets: w.targets.map(t => ({ playerName: t.playerName, team: t.team, gamePk: t.gamePk, done: t.done })),
+    }));
+  }
+  const targetLine = (w, t) => (w.kind === 'roster'
+    ? `${t.team} roster`
+    : `${t.playerName} (${t.gamePk || 'waiting'})${t.done ? ' done' : ''}`);
+  print(opts, { watchers }, ({ watchers: ws }) => (ws.length
+    ? ws.map(w => `${w.id}  ${w.events.join(',')}  ${w.targets.map(t => targetLine(w, t)).join('; ')}`).join('\n')
+    : 'No running watchers'));
+}
+
+const alertLine = a =>
+  `${a.at}  ${a.event.padEnd(14)} ${a.headline}` +
+  (a.deliveries.length ? `  [${a.deliveries.map(d => `${d.destination} ${d.status}`).join(', ')}]` : '');
+
+async function alertsTail(opts, [sub]) {
+  if (sub !== 'tail') throw new UsageError(`Unknown alerts command "${sub || ''}" (expected tail)`);
+  const query = { player: opts.player, channel: opts.channel, limit: Number(opts.n) || 20 };
+  const fetchAlerts = opts.server
+    ? async () => (await api(opts).get('/alerts', { params: query })).data.alerts
+    // Standalone reads every owner's history straight from the log file
+    : async () => { local().loadAlertHistory(); return local().queryAlerts('*', query); };
+
+  const shown = new Set();
+  const show = alerts => {
+    for (const a of alerts.filter(x => !shown.has(x.id)).reverse()) {
+      shown.add(a.id);
+      if (opts.json) console.log(JSON.stringify(a));
+      else console.log(alertLine(a));
+    }
+  };
+  show(await fetchAlerts());
+  if (!opts.follow) return;
+  // Delivery attempts keep landing after the alert itself, so a followed alert is printed once, as first seen
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, 5000));
+    show(await fetchAlerts());
+  }
+}
+
+async function testEmail(opts, [sub]) {
+  if (sub !== 'email') throw new UsageError(`Unknown test command "${sub || ''}" (expected email)`);
+  if (!opts.to) throw new UsageError('test email needs --to');
+  if (opts.server) await api(opts).post('/test/email', { to: opts.to });
+  else {
+    await local().sendEmail(opts.to, 'Test Email from Player Alert CLI ✅',
+      '<h2>Test Email</h2><p>This is a test from the player-alert CLI.</p>', 'This is a test from the player-alert CLI.');
+  }
+  print(opts, { ok: true, to: opts.to }, () => `Sent a test email to ${opts.to}`);
+}
+
+// Stands in for Twilio and SendGrid: posts a reply to the service's inbound webhooks the way they would
+async function inbound(opts, [sub, ...words]) {
+  if (sub !== 'sms' && sub !== 'email') throw new UsageError(`Unknown inbound command "${sub || ''}" (expected sms or email)`);
+  if (!opts.server) throw new UsageError(`inbound ${sub} needs a running server: pass --server <url>`);
+  if (!opts.from) throw new UsageError(`inbound ${sub} needs --from`);
+  const url = `${opts.server.replace(/\/+$/, '')}/api/inbound/${sub}`;
+  const text = words.join(' ');
+  const fail = e => { throw new Error(e.response?.data?.error || e.message); };
+  let reply;
+  if (sub === 'sms') {
+    const token = process.env.TWILIO_AUTH_TOKEN;
+    if (!token) throw new UsageError('inbound sms needs $TWILIO_AUTH_TOKEN to sign the request');
+    const params = { MessageSid: `SM${Date.now()}`, From: opts.from, To: process.env.TWILIO_FROM || '', Body: text };
+    const signature = require('twilio').getExpectedTwilioSignature(token, url, params);
+    const { data } = await axios.post(url, new URLSearchParams(params), { headers: { 'X-Twilio-Signature': signature }, timeout: 30000 }).catch(fail);
+    const unescape = v => v.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+    reply = unescape(/<Message>([\s\S]*)<\/Message>/.exec(data)?.[1] || '');
+  } else {
+    const secret = process.env.INBOUND_EMAIL_SECRET;
+    if (!secret) throw new UsageError('inbound email needs $INBOUND_EMAIL_SECRET');
+    const form = new FormData();
+    form.append('from', opts.from);
+    form.append('to', process.env.SENDGRID_FROM || 'alerts@localhost');
+    form.append('subject', 'Player Alert');
+    form.append('text', text);
+    // The checks SendGrid runs on real mail; this stand-in vouches for --from
+    const address = (/<([^>]+)>/.exec(opts.from)?.[1] || opts.from).trim();
+    form.append('SPF', 'pass');
+    form.append('dkim', `{@${address.split('@').pop()} : pass}`);
+    form.append('envelope', JSON.stringify({ from: address, to: [process.env.SENDGRID_FROM || 'alerts@localhost'] }));
+    const { data } = await axios.post(url, form, { auth: { username: 'inbound', password: secret }, timeout: 30000 }).catch(fail);
+    // Senders no watcher alerts are ignored without a reply
+    reply = data.reply ?? `(no reply: ${data.ignored})`;
+  }
+  print(opts, { reply }, r => r.reply);
+}
+
+const COMMANDS = {
+  status,
+  'find-game': findGame,
+  watch,
+  alerts: alertsTail,
+  test: testEmail,
+  inbound,
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return command || values.help ? 0 : 2;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new UsageError(`Unknown command "${command}"`);
+  const opts = {
+    ...values,
+    server: values.server || process.env.PLAYER_ALERT_SERVER || null,
+    token: values.token || process.env.PLAYER_ALERT_TOKEN || null,
+  };
+  await run(opts, rest);
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => process.exit(code),
+  e => {
+    const usage = e instanceof UsageError || e.code?.startsWith?.('ERR_PARSE_ARGS');
+    console.error(`player-alert: ${e.message}`);
+    if (usage) console.error('Run "player-alert --help" for usage.');
+    process.exit(usage ? 2 : 1);
+  }
+);
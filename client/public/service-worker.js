@@ -0,0 +1,68 @@
+/* eslint-disable no-restricted-globals */
+// Player Alert service worker: shows Web Push alerts while the app is closed and keeps the
+// last-loaded app shell available offline. API calls always go to the network.
+const SHELL_CACHE = 'player-alert-shell-v1';
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(['/', '/manifest.json'])));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n !== SHELL_CACHE).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+// Network first for same-origin GETs outside /api and /metrics, falling back to the cached copy
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/') || url.pathname === '/metrics') return;
+  event.respondWith((async () => {
+    try {
+      const res = await fetch(event.request);
+      if (res.ok) {
+        const copy = res.clone();
+        caches.open(SHELL_CACHE).then(cache => cache.put(event.request, copy));
+      }
+      return res;
+    } catch (e) {
+      const cached = await caches.match(event.request) || (event.request.mode === 'navigate' && await caches.match('/'));
+      if (cached) return cached;
+      throw e;
+    }
+  })());
+});
+
+// Payload from the server's push notifier: { title, body, url, tag }
+self.addEventListener('push', event => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (e) {
+    data = { body: event.data.text() };
+  }
+  event.waitUntil(self.registration.showNotification(data.title || 'Player Alert', {
+    body: data.body || '',
+    icon: '/logo192.png',
+    badge: '/favicon.ico',
+    tag: data.tag,
+    renotify: Boolean(data.tag),
+    data: { url: data.url || '/' },
+  }));
+});
+
+// Focus an open tab of the app when there is one; game links open in a new window
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const target = event.notification.data?.url || '/';
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const sameApp = target === '/' && windows.find(w => new URL(w.url).origin === self.location.origin);
+    if (sameApp) return sameApp.focus();
+    return self.clients.openWindow(target);
+  })());
+});
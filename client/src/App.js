@@ -1,25 +1,545 @@
-import React, { useEffect, useMemo, useState, useCallback } from 'react';
+import React, { useEffect, useMemo, useRef, useState, useCallback } from 'react';
 import axios from 'axios';
+import { currentPushSubscription, pushSupported, subscribeToPush, unsubscribeFromPush } from './serviceWorkerRegistration';
 
 const API = '';
 
+const EVENT_OPTIONS = [
+  ['entered', 'Enters game'],
+  ['atBat', 'Comes to bat'],
+  ['pitching', 'Starts pitching'],
+  ['homeRun', 'Home run'],
+  ['removed', 'Pulled'],
+  ['positionChange', 'Position change'],
+];
+
+const ROSTER_EVENT_OPTIONS = [
+  ['rosterAdded', 'Added to roster'],
+  ['rosterRemoved', 'Left roster'],
+  ['rosterStatus', 'Status change (IL, …)'],
+  ['transaction', 'Transaction'],
+];
+
+const TOKEN_KEY = 'playerAlertToken';
+
+// Alerts are rendered in this zone for the recipients set up from this browser
+const BROWSER_TZ = Intl.DateTimeFormat().resolvedOptions().timeZone;
+// YYYY-MM-DD in the browser's zone; toISOString() gives the UTC date, which is already tomorrow on a US evening
+const localDate = () => new Date().toLocaleDateString('en-CA');
+
+// Applied synchronously (not in an effect) so the dashboard's first requests already carry the header
+function applyToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+    delete axios.defaults.headers.common.Authorization;
+  }
+  return token;
+}
+
+function useAuthToken() {
+  const [token, rawSetToken] = useState(() => applyToken(localStorage.getItem(TOKEN_KEY)));
+  const setToken = useCallback(t => rawSetToken(applyToken(t)), []);
+
+  // Any 401 means the session is gone: fall back to the login form
+  useEffect(() => {
+    const id = axios.interceptors.response.use(r => r, err => {
+      if (err?.response?.status === 401) setToken(null);
+      return Promise.reject(err);
+    });
+    return () => axios.interceptors.response.eject(id);
+  }, [setToken]);
+
+  return [token, setToken];
+}
+
+function Login({ onToken }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const submit = async (path) => {
+    try {
+      setError('');
+      const { data } = await axios.post(`${API}/api/auth/${path}`, { username, password });
+      onToken(data.token);
+    } catch (e) {
+      setError(e?.response?.data?.error || e.message);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: 360, margin: '64px auto', fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif' }}>
+      <h1>⚾ Player Entry Alert</h1>
+      <form onSubmit={e => { e.preventDefault(); submit('login'); }} style={{ display: 'grid', gap: 8 }}>
+        <input value={username} onChange={e => setUsername(e.target.value)} placeholder="Username" autoComplete="username"/>
+        <input type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder="Password" autoComplete="current-password"/>
+        <button type="submit">Log in</button>
+        <button type="button" onClick={() => submit('register')}>Create account</button>
+        {error && <div style={{ color: '#b00' }}>{error}</div>}
+      </form>
+    </div>
+  );
+}
+
+const secondsFromNow = iso => Math.round((new Date(iso).getTime() - Date.now()) / 1000);
+
+// One server watcher: live state, pause/resume, stop, and in-place edits of its alert settings
+function WatcherCard({ w, followed, onFollow, onChanged }) {
+  const [editing, setEditing] = useState(null);
+  const fail = e => alert(e?.response?.data?.error || e.message);
+
+  const act = async (request) => {
+    try {
+      await request();
+      onChanged();
+    } catch (e) { fail(e); }
+  };
+
+  const roster = w.kind === 'roster';
+  const save = () => act(async () => {
+    await axios.patch(`${API}/api/watch/${w.id}`, roster ? { events: editing.events } : {
+      events: editing.events,
+      cooldownSec: Number(editing.cooldownSec),
+      stopAfterAlert: editing.stopAfterAlert,
+    });
+    setEditing(null);
+  });
+
+  const toggle = (type, on) => setEditing(prev => ({
+    ...prev, events: on ? [...prev.events, type] : prev.events.filter(t => t !== type),
+  }));
+
+  return (
+    <div style={{ border: '1px solid #ddd', borderRadius: 8, padding: 8, marginTop: 8, fontSize: 13, background: followed ? '#f3f8ff' : undefined }}>
+      <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+        <b>#{w.id}</b>
+        <span>{w.paused ? '⏸ paused' : '▶️ running'}</span>
+        <span style={{ color: '#555' }}>
+          {roster
+            ? `roster: ${w.events.join(', ')} · every ${w.intervalMin} min${w.players.length ? ` · only ${w.players.map(p => p.playerName || `#${p.personId}`).join(', ')}` : ''}`
+            : `${w.events.join(', ')} · cooldown ${w.cooldownSec}s · ${w.stopAfterAlert ? 'stops after alert' : 'keeps alerting'}`}
+          {w.destinations.length ? ` · → ${w.destinations.join(', ')}` : ''}
+        </span>
+        <span style={{ flex: 1 }}/>
+        <button onClick={() => onFollow(w.id)} disabled={followed}>Show events</button>
+        {w.paused
+          ? <button onClick={() => act(() => axios.post(`${API}/api/watch/${w.id}/resume`))}>Resume</button>
+          : <button onClick={() => act(() => axios.post(`${API}/api/watch/${w.id}/pause`))}>Pause</button>}
+        <button onClick={() => setEditing(editing ? null : { events: w.events, cooldownSec: w.cooldownSec, stopAfterAlert: w.stopAfterAlert })}>Edit</button>
+        <button onClick={() => act(() => axios.post(`${API}/api/watch/stop`, { id: w.id }))}>Stop</button>
+      </div>
+      {w.lastError && (
+        <div style={{ color: '#b00020' }}>
+          Last error ({new Date(w.lastError.at).toLocaleTimeString()}): {w.lastError.message}
+          {w.consecutiveErrors > 0 && ` · ${w.consecutiveErrors} in a row`}
+        </div>
+      )}
+      <ul style={{ margin: '4px 0', paddingLeft: 16 }}>
+        {roster && w.targets.map((t, i) => (
+          <li key={i}>
+            {t.team} — {t.rosterSize === null ? 'first check pending' : `${t.rosterSize} players`}
+            {t.lastCheckAt && <span style={{ color: '#555' }}> · checked {new Date(t.lastCheckAt).toLocaleTimeString()}</span>}
+            {t.nextCheckAt && <span style={{ color: '#555' }}> · next in {Math.max(0, Math.round(secondsFromNow(t.nextCheckAt) / 60))} min</span>}
+          </li>
+        ))}
+        {!roster && w.targets.map((t, i) => (
+          <li key={i}>
+            {t.playerName} — {t.done ? 'done' : t.lastInGame ? 'in game' : 'not in yet'}
+            {' '}({t.gamePk ? `game ${t.gamePk}, ${t.lastState || 'no read yet'}` : t.nextGame ? `next game ${t.nextGame.gamePk} at ${new Date(t.nextGame.gameDate).toLocaleString()}` : 'waiting for schedule'})
+            {t.poll && (
+              <span style={{ color: '#555' }}>
+                {t.poll.lastPollAt && ` · polled ${-secondsFromNow(t.poll.lastPollAt)}s ago`}
+                {t.poll.nextPollAt && ` · next in ${Math.max(0, secondsFromNow(t.poll.nextPollAt))}s`}
+                {t.poll.lastError && <span style={{ color: '#b00020' }}> · {t.poll.lastError.message}</span>}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+      {editing && (
+        <div style={{ borderTop: '1px solid #eee', paddingTop: 6 }}>
+          {(roster ? ROSTER_EVENT_OPTIONS : EVENT_OPTIONS).map(([type, label]) => (
+            <label key={type} style={{ marginRight: 10, whiteSpace: 'nowrap' }}>
+              <input type="checkbox" checked={editing.events.includes(type)} onChange={e => toggle(type, e.target.checked)} />
+              {' '}{label}
+            </label>
+          ))}
+          {roster && <button onClick={save} style={{ marginLeft: 12 }}>Save</button>}
+          {!roster && <div style={{ marginTop: 4 }}>
+            Cooldown{' '}
+            <input type="number" min="0" value={editing.cooldownSec} onChange={e => setEditing({ ...editing, cooldownSec: e.target.value })} style={{ width: 70 }}/>s
+            <label style={{ marginLeft: 12 }}>
+              <input type="checkbox" checked={editing.stopAfterAlert} onChange={e => setEditing({ ...editing, stopAfterAlert: e.target.checked })} />
+              {' '}Stop after alerting
+            </label>
+            <button onClick={save} style={{ marginLeft: 12 }}>Save</button>
+          </div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Every watcher the signed-in user has on the server, refreshed every few seconds
+function WatchersPanel({ followedId, onFollow, version }) {
+  const [watchers, setWatchers] = useState([]);
+
+  const load = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${API}/api/watch`);
+      setWatchers(data.watchers);
+    } catch (e) {
+      // The next tick tries again; a failed refresh just leaves the last list up
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, 5000);
+    return () => clearInterval(timer);
+  }, [load, version]);
+
+  return (
+    <div style={{ marginTop: 24 }}>
+      <h2>Your watchers</h2>
+      {watchers.length === 0 && <div style={{ fontSize: 14, color: '#555' }}>No watchers running.</div>}
+      {watchers.map(w => (
+        <WatcherCard key={w.id} w={w} followed={w.id === followedId} onFollow={onFollow} onChanged={load} />
+      ))}
+    </div>
+  );
+}
+
+// Every alert and delivery attempt the server has recorded, for showing coaches what went out
+function AlertHistory() {
+  const [filters, setFilters] = useState({ player: '', from: '', to: '', channel: '' });
+  const [alerts, setAlerts] = useState(null);
+
+  const query = () => {
+    const qs = new URLSearchParams();
+    Object.entries(filters).forEach(([k, v]) => { if (v) qs.set(k, v); });
+    return qs;
+  };
+
+  const load = async () => {
+    try {
+      const { data } = await axios.get(`${API}/api/alerts?${query()}`);
+      setAlerts(data.alerts);
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    }
+  };
+
+  // Fetched with the auth header, then handed to the browser as a download
+  const exportCsv = async () => {
+    try {
+      const qs = query();
+      qs.set('format', 'csv');
+      const { data } = await axios.get(`${API}/api/alerts?${qs}`, { responseType: 'blob' });
+      const url = URL.createObjectURL(data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'alerts.csv';
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    }
+  };
+
+  const set = key => e => setFilters({ ...filters, [key]: e.target.value });
+
+  return (
+    <div style={{ marginTop: 24 }}>
+      <h2>Alert history</h2>
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', fontSize: 14 }}>
+        <input value={filters.player} onChange={set('player')} placeholder="Player"/>
+        <input type="date" value={filters.from} onChange={set('from')} title="From"/>
+        <input type="date" value={filters.to} onChange={set('to')} title="To"/>
+        <select value={filters.channel} onChange={set('channel')}>
+          <option value="">All channels</option>
+          {['email', 'sms', 'webhook', 'slack', 'discord', 'push'].map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <button onClick={load}>Search</button>
+        <button onClick={exportCsv}>Export CSV</button>
+      </div>
+      {alerts && (
+        <table style={{ width: '100%', marginTop: 8, fontSize: 13, borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left' }}>
+              <th>When</th><th>Player</th><th>Event</th><th>Game</th><th>Deliveries</th>
+            </tr>
+          </thead>
+          <tbody>
+            {alerts.length === 0 && <tr><td colSpan={5}>No alerts match.</td></tr>}
+            {alerts.map(a => (
+              <tr key={a.id} style={{ borderTop: '1px solid #eee', verticalAlign: 'top' }}>
+                <td>{new Date(a.at).toLocaleString()}</td>
+                <td>{a.playerName}</td>
+                <td>{a.event}</td>
+                <td>{a.gamePk}<br/><small>{a.gameState?.rawGameState}</small></td>
+                <td>
+                  {a.deliveries.length === 0 ? '—' : a.deliveries.map((d, i) => (
+                    <div key={i}>{d.status === 'sent' ? '✅' : d.status === 'retrying' ? '🔁' : d.status === 'held' ? '🌙' : d.status === 'snoozed' ? '💤' : d.status === 'opted-out' ? '🚫' : '❌'} {d.destination}{d.error ? ` (${d.error})` : ''}</div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Edit the alert wording per event and channel; '*' applies to every channel without its own template
+function TemplateEditor() {
+  const [meta, setMeta] = useState(null);
+  const [event, setEvent] = useState('entered');
+  const [channel, setChannel] = useState('*');
+  const [draft, setDraft] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${API}/api/templates`);
+      setMeta(data);
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Saved override for this slot, else the '*' override, else the built-in default — part by part
+  useEffect(() => {
+    if (!meta) return;
+    const mine = meta.templates[event] || {};
+    const parts = {};
+    for (const part of ['subject', 'text', 'html', 'sms']) {
+      parts[part] = mine[channel]?.[part] ?? mine['*']?.[part] ?? (meta.eventDefaults?.[event] || meta.defaults)[part];
+    }
+    setDraft(parts);
+    setPreview(null);
+  }, [meta, event, channel]);
+
+  const fail = e => alert(e?.response?.data?.error || e.message);
+
+  const runPreview = async () => {
+    try {
+      const { data } = await axios.post(`${API}/api/templates/preview`, { event, channel, template: draft, timezone: BROWSER_TZ });
+      setPreview(data);
+    } catch (e) { fail(e); }
+  };
+
+  const save = async () => {
+    try {
+      await axios.put(`${API}/api/templates/${event}/${encodeURIComponent(channel)}`, draft);
+      await load();
+    } catch (e) { fail(e); }
+  };
+
+  const reset = async () => {
+    try {
+      await axios.delete(`${API}/api/templates/${event}/${encodeURIComponent(channel)}`);
+      await load();
+    } catch (e) { fail(e); }
+  };
+
+  if (!meta || !draft) return null;
+  const field = (part, rows) => (
+    <label style={{ display: 'block', marginTop: 8 }}>{part}
+      <textarea value={draft[part]} onChange={e => setDraft({ ...draft, [part]: e.target.value })} rows={rows} style={{ width: '100%', fontFamily: 'monospace', fontSize: 12 }}/>
+    </label>
+  );
+
+  return (
+    <div style={{ marginTop: 24 }}>
+      <h2>Alert templates</h2>
+      <div style={{ display: 'flex', gap: 8, fontSize: 14 }}>
+        <select value={event} onChange={e => setEvent(e.target.value)}>
+          {meta.events.map(ev => <option key={ev} value={ev}>{ev}</option>)}
+        </select>
+        <select value={channel} onChange={e => setChannel(e.target.value)}>
+          {meta.channels.map(c => <option key={c} value={c}>{c === '*' ? 'all channels' : c}</option>)}
+        </select>
+        <button onClick={runPreview}>Preview</button>
+        <button onClick={save}>Save</button>
+        <button onClick={reset} disabled={!meta.templates[event]?.[channel]}>Reset to default</button>
+      </div>
+      <small style={{ display: 'block', marginTop: 6, color: '#555' }}>
+        Fields: {Object.keys(meta.fields).map(f => `{{${f}}}`).join(' ')}
+      </small>
+      {field('subject', 1)}
+      {field('text', 6)}
+      {field('html', 6)}
+      {field('sms', 2)}
+      {preview && (
+        <div style={{ marginTop: 8, fontSize: 13 }}>
+          <div><b>Subject:</b> {preview.subject}</div>
+          <div><b>SMS ({preview.sms.length} chars):</b> {preview.sms}</div>
+          <pre style={{ background: '#fafafa', padding: 8, whiteSpace: 'pre-wrap' }}>{preview.text}</pre>
+          <iframe title="Email preview" srcDoc={preview.html} sandbox="" style={{ width: '100%', height: 360, border: '1px solid #ddd' }}/>
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function App() {
+  const [token, setToken] = useAuthToken();
+  if (!token) return <Login onToken={setToken} />;
+  return <Dashboard token={token} onLogout={() => setToken(null)} />;
+}
+
+// Score, inning, count and matchup for one game plus the selected player's spot and line so far.
+// Loads once, then again whenever `refreshKey` changes: the watcher's event stream bumps it each time the
+// game's feed moves on, so an open dashboard never polls statsapi itself.
+function GameCard({ gamePk, playerName, personId, refreshKey }) {
+  const [game, setGame] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!/^\d+$/.test(gamePk)) return undefined;
+    let kill = false;
+    const load = async () => {
+      try {
+        const qs = new URLSearchParams();
+        if (personId) qs.set('personId', String(personId));
+        else if (playerName) qs.set('playerName', playerName);
+        const { data } = await axios.get(`${API}/api/game/${gamePk}/summary?${qs.toString()}`);
+        if (kill) return;
+        setGame(data);
+        setError(null);
+      } catch (e) {
+        if (!kill) setError(e?.response?.data?.error || e.message);
+      }
+    };
+    load();
+    return () => { kill = true; };
+  }, [gamePk, playerName, personId, refreshKey]);
+
+  if (!/^\d+$/.test(gamePk)) return null;
+  if (!game) return <div style={{ marginTop: 16, fontSize: 14, color: error ? '#b00020' : '#555' }}>{error || 'Loading game…'}</div>;
+
+  const { teams, innings, count, matchup, runners, player } = game;
+  const final = game.abstractState === 'Final' || /final|game over/i.test(game.rawGameState || '');
+  const cell = { padding: '2px 6px', textAlign: 'center', borderBottom: '1px solid #eee' };
+  const bases = ['first', 'second', 'third'].filter(b => runners[b]).map(b => ({ first: '1B', second: '2B', third: '3B' })[b]);
+  const lineup = player?.side ? game.lineups[player.side] : [];
+
+  return (
+    <div style={{ marginTop: 16, border: '1px solid #ddd', borderRadius: 8, padding: 12, fontSize: 14 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
+        <b>{game.inning || game.rawGameState}</b>
+        <span style={{ color: '#555' }}>{game.rawGameState}{game.venue ? ` · ${game.venue}` : ''} · game {game.gamePk}</span>
+      </div>
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr>
+            <th style={{ ...cell, textAlign: 'left' }}/>
+            {innings.map(i => <th key={i.num} style={cell}>{i.num}</th>)}
+            <th style={cell}>R</th><th style={cell}>H</th><th style={cell}>E</th>
+          </tr>
+        </thead>
+        <tbody>
+          {['away', 'home'].map(side => (
+            <tr key={side}>
+              <td style={{ ...cell, textAlign: 'left' }}>{teams[side].abbreviation || teams[side].name}</td>
+              {innings.map(i => <td key={i.num} style={cell}>{i[side] ?? ''}</td>)}
+              <td style={cell}><b>{teams[side].runs ?? 0}</b></td>
+              <td style={cell}>{teams[side].hits ?? 0}</td>
+              <td style={cell}>{teams[side].errors ?? 0}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {count && !final && (
+        <div style={{ marginTop: 8 }}>
+          {count.balls}-{count.strikes}, {count.outs} out{count.outs === 1 ? '' : 's'}
+          {bases.length ? ` · on ${bases.join(', ')}` : ' · bases empty'}
+          {matchup.batter && <div>At bat: <b>{matchup.batter.name}</b>{matchup.batter.line ? ` (${matchup.batter.line})` : ''}</div>}
+          {matchup.pitcher && <div>Pitching: <b>{matchup.pitcher.name}</b>{matchup.pitcher.line ? ` (${matchup.pitcher.line})` : ''}</div>}
+          {matchup.onDeck && <div style={{ color: '#555' }}>On deck: {matchup.onDeck.name}</div>}
+        </div>
+      )}
+      <div style={{ marginTop: 8, borderTop: '1px solid #eee', paddingTop: 8 }}>
+        {player ? (
+          <>
+            <b>{player.fullName}</b> — {player.inGame ? 'in the game' : 'not in yet'}
+            {player.position ? ` · ${player.position}` : ''}
+            {player.lineupSlot ? ` · batting ${player.lineupSlot}` : ' · not in the starting lineup'}
+            <div>{player.line || 'No plate appearances or pitches yet'}</div>
+            {lineup.length > 0 && (
+              <ol style={{ margin: '4px 0', paddingLeft: 20, color: '#555' }}>
+                {lineup.map(p => (
+                  <li key={p.personId} style={p.personId === player.personId ? { color: '#000', fontWeight: 'bold' } : undefined}>
+                    {p.name} {p.position}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </>
+        ) : (
+          <span style={{ color: '#555' }}>{playerName || 'The selected player'} is not on either roster for this game.</span>
+        )}
+      </div>
+      {error && <div style={{ color: '#b00020', marginTop: 4 }}>Last refresh failed: {error}</div>}
+    </div>
+  );
+}
+
+function Dashboard({ token, onLogout }) {
+  const [sports, setSports] = useState([]);
+  const [sportId, setSportId] = useState('11');
+  const [teams, setTeams] = useState([]);
   const [team, setTeam] = useState('Glendale Desert Dogs');
   const [playerName, setPlayerName] = useState('Cade Doughty');
-  const [date, setDate] = useState(() => new Date().toISOString().slice(0,10));
+  const [personId, setPersonId] = useState(null);
+  const [playerMatches, setPlayerMatches] = useState([]);
+  // Until the user picks a date it follows "today" where the league plays (from /api/teams)
+  const [date, setDate] = useState(localDate);
+  const datePicked = useRef(false);
   const [gamePk, setGamePk] = useState('');
   const [simulate, setSimulate] = useState(false);
+  const [replays, setReplays] = useState([]);
+  const [replay, setReplay] = useState('');
+  const [speed, setSpeed] = useState(10);
   const [status, setStatus] = useState(null);
+  const [feedVersion, setFeedVersion] = useState(0);
   const [banner, setBanner] = useState({ type: 'idle', text: 'Loading player status…' });
   const [watchId, setWatchId] = useState(null);
+  const [watchersVersion, setWatchersVersion] = useState(0);
+  const [cooldownSec, setCooldownSec] = useState(300);
+  const [stopAfterAlert, setStopAfterAlert] = useState(true);
+  const [eventLog, setEventLog] = useState([]);
   const [emailTo, setEmailTo] = useState('');
+  const [smsTo, setSmsTo] = useState('');
+  const [extraPlayers, setExtraPlayers] = useState('');
+  const [hook, setHook] = useState({ type: 'webhook', url: '', secret: '' });
+  const [pushSub, setPushSub] = useState(null);
+  const [delivery, setDelivery] = useState('immediate');
+  const [quiet, setQuiet] = useState({ start: '', end: '' });
+  const [events, setEvents] = useState(['entered']);
+  const [follow, setFollow] = useState(false);
+  const [until, setUntil] = useState('');
 
   const params = useMemo(() => ({
-    team, playerName, date, gamePk: gamePk.trim(), simulate
-  }), [team, playerName, date, gamePk, simulate]);
+    team, playerName, personId, date, gamePk: gamePk.trim(), simulate
+  }), [team, playerName, personId, date, gamePk, simulate]);
 
   const resetBanner = useCallback(() => setBanner({ type: 'idle', text: 'Loading player status…' }), []);
 
+  const showStatus = useCallback((data, name) => {
+    setStatus(data);
+    if (data.inGame) setBanner({ type: 'ok', text: `✅ ALERT: ${name} is now in the game!` });
+    else setBanner({ type: 'waiting', text: `🕒 Waiting for ${name} to enter the game...` });
+  }, []);
+
+  // One read whenever the inputs change; live updates come from the watcher's event stream
   useEffect(() => {
     let kill = false;
     const fetch = async () => {
@@ -28,12 +548,11 @@ export default function App() {
         if (params.simulate) qs.set('simulate', '1');
         if (params.gamePk) qs.set('gamePk', params.gamePk);
         if (params.playerName) qs.set('playerName', params.playerName);
+        if (params.personId) qs.set('personId', String(params.personId));
         if (params.team) qs.set('team', params.team);
         const { data } = await axios.get(`${API}/api/playerStatus?${qs.toString()}`);
         if (kill) return;
-        setStatus(data);
-        if (data.inGame) setBanner({ type: 'ok', text: `✅ ALERT: ${params.playerName} is now in the game!` });
-        else setBanner({ type: 'waiting', text: `🕒 Waiting for ${params.playerName} to enter the game...` });
+        showStatus(data, params.playerName);
       } catch (e) {
         if (kill) return;
         setStatus(null);
@@ -42,14 +561,72 @@ export default function App() {
     };
     resetBanner();
     fetch();
-    const id = setInterval(fetch, 15000);
-    return () => { kill = true; clearInterval(id); };
-  }, [params, resetBanner]);
+    return () => { kill = true; };
+  }, [params, resetBanner, showStatus]);
+
+  useEffect(() => {
+    if (!watchId) return undefined;
+    // EventSource can't send headers, so the token rides along as a query parameter
+    const source = new EventSource(`${API}/api/watch/${watchId}/events?${new URLSearchParams({ access_token: token })}`);
+    const log = msg => setEventLog(prev => [msg, ...prev].slice(0, 100));
+
+    source.addEventListener('status', e => {
+      const msg = JSON.parse(e.data);
+      log(msg);
+      if (msg.target === 0) showStatus({ player: msg.playerName, ...msg.status }, msg.playerName);
+    });
+    source.addEventListener('alert', e => {
+      const msg = JSON.parse(e.data);
+      log(msg);
+      setBanner({ type: 'ok', text: `✅ ${msg.headline}` });
+    });
+    // Not logged: it only means the game card has something new to show
+    source.addEventListener('feed', () => setFeedVersion(v => v + 1));
+    source.addEventListener('delivery', e => log(JSON.parse(e.data)));
+    source.addEventListener('schedule', e => log(JSON.parse(e.data)));
+    ['paused', 'resumed', 'updated', 'error'].forEach(type => source.addEventListener(type, e => log(JSON.parse(e.data))));
+    source.addEventListener('stopped', e => {
+      log(JSON.parse(e.data));
+      source.close();
+      setWatchId(null);
+    });
+    return () => source.close();
+  }, [watchId, token, showStatus]);
+
+  // A browser that subscribed earlier stays a push destination until it's switched off here
+  useEffect(() => {
+    currentPushSubscription().then(setPushSub).catch(() => setPushSub(null));
+  }, []);
+
+  useEffect(() => {
+    axios.get(`${API}/api/sports`)
+      .then(({ data }) => setSports(data.sports))
+      .catch(() => setSports([]));
+  }, []);
+
+  // Team autocomplete for the selected league (the server caches the list)
+  useEffect(() => {
+    let kill = false;
+    axios.get(`${API}/api/teams?${new URLSearchParams({ sportId })}`)
+      .then(({ data }) => {
+        if (kill) return;
+        setTeams(data.teams);
+        if (data.today && !datePicked.current) setDate(data.today);
+      })
+      .catch(() => { if (!kill) setTeams([]); });
+    return () => { kill = true; };
+  }, [sportId]);
+
+  useEffect(() => {
+    axios.get(`${API}/api/replays`)
+      .then(({ data }) => setReplays(data.replays))
+      .catch(() => setReplays([]));
+  }, []);
 
   const findGamePk = async () => {
     try {
-      const qs = new URLSearchParams({ team, date });
-      const { data } = await axios.get(`${API}/api/afl/gamePk?${qs.toString()}`);
+      const qs = new URLSearchParams({ team, date, sportId });
+      const { data } = await axios.get(`${API}/api/gamePk?${qs.toString()}`);
       if (data?.gamePk) {
         setGamePk(String(data.gamePk));
       } else {
@@ -60,20 +637,72 @@ export default function App() {
     }
   };
 
+  // One per line: "Name" or "Name @ Team" for a player on another club
+  const watchList = () => [
+    { playerName, personId: personId || undefined },
+    ...extraPlayers.split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const [name, club] = line.split('@').map(x => x.trim());
+        return club ? { playerName: name, team: club } : { playerName: name };
+      }),
+  ];
+
+  const findPlayer = async () => {
+    try {
+      const qs = new URLSearchParams({ q: playerName, team, sportId });
+      const { data } = await axios.get(`${API}/api/players/search?${qs.toString()}`);
+      if (!data.players.length) alert(`No players matching "${playerName}" on ${team}`);
+      setPlayerMatches(data.players);
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    }
+  };
+
+  const pickPlayer = p => {
+    setPlayerName(p.fullName);
+    setPersonId(p.personId);
+    setPlayerMatches([]);
+  };
+
   const startServerWatcher = async () => {
     try {
       const body = {
-        team, playerName, date,
+        team, date, sportId,
+        players: watchList(),
+        events,
+        replay: replay || undefined,
+        follow: follow || undefined,
+        until: follow ? (until || 'season') : undefined,
+        speed: replay ? Number(speed) || 1 : undefined,
         gamePk: gamePk || undefined,
         simulate,
-        emailTo: emailTo || undefined,
-        cooldownSec: 300,
-        stopAfterAlert: true
+        recipients: recipients(),
+        cooldownSec: Number(cooldownSec) || 0,
+        stopAfterAlert
       };
       const { data } = await axios.post(`${API}/api/watch/start`, body);
+      setEventLog([]);
       setWatchId(data.id);
-      if (!gamePk) setGamePk(String(data.gamePk || ''));
-      alert(`Server watcher started. id=${data.id}, gamePk=${data.gamePk}`);
+      setWatchersVersion(v => v + 1);
+      if (!gamePk && data.gamePk) setGamePk(String(data.gamePk));
+      alert(`Server watcher started. id=${data.id}, players=${data.targets.length}, gamePk=${data.gamePks.join(', ') || 'next scheduled game'}`);
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    }
+  };
+
+  // Roster moves for the team (and any "@ Team" clubs above), narrowed to the entered players when there are any
+  const startRosterWatcher = async () => {
+    try {
+      const players = watchList().filter(p => p.playerName || p.personId);
+      const teams = [team, ...players.map(p => p.team).filter(Boolean)];
+      const { data } = await axios.post(`${API}/api/watch/roster`, {
+        teams, sportId, players, recipients: recipients(),
+      });
+      setWatchersVersion(v => v + 1);
+      alert(`Roster watcher started. id=${data.id}, teams=${data.targets.map(t => t.team).join(', ')}`);
     } catch (e) {
       alert(e?.response?.data?.error || e.message);
     }
@@ -83,12 +712,69 @@ export default function App() {
     if (!watchId) return;
     try {
       const { data } = await axios.post(`${API}/api/watch/stop`, { id: watchId });
-      if (data.ok) { setWatchId(null); alert('Watcher stopped'); }
+      if (data.ok) { setWatchId(null); setWatchersVersion(v => v + 1); alert('Watcher stopped'); }
     } catch (e) {
       alert(e?.response?.data?.error || e.message);
     }
   };
 
+  const toggleEvent = (type, on) =>
+    setEvents(prev => (on ? [...prev, type] : prev.filter(t => t !== type)));
+
+  // Everything entered above goes to one recipient (you), with your delivery and quiet-hours choices
+  const recipients = () => {
+    const channels = [
+      ...(emailTo ? [{ type: 'email', to: emailTo }] : []),
+      ...smsTo.split(',').map(n => n.trim()).filter(Boolean).map(to => ({ type: 'sms', to })),
+      ...(hookDestination() ? [hookDestination()] : []),
+      ...(pushSub ? [{ type: 'push', subscription: pushSub }] : []),
+    ];
+    if (!channels.length) return undefined;
+    const quietHours = quiet.start && quiet.end
+      ? { ...quiet, timezone: BROWSER_TZ }
+      : undefined;
+    return [{ name: 'me', channels, delivery, quietHours, timezone: BROWSER_TZ }];
+  };
+
+  const hookDestination = () => (hook.url
+    ? { type: hook.type, url: hook.url, secret: hook.type === 'webhook' && hook.secret ? hook.secret : undefined }
+    : null);
+
+  const sendTestHook = async () => {
+    if (!hook.url) return alert('Enter a webhook URL first.');
+    try {
+      const { data } = await axios.post(`${API}/api/test/notify`, { destination: hookDestination() });
+      if (data.ok) alert(`Test alert delivered to ${data.destination} 👍`);
+    } catch (e) {
+      const attempt = e?.response?.data?.attempts?.[0];
+      alert(attempt?.error || e?.response?.data?.error || e.message);
+    }
+  };
+
+  const togglePush = async on => {
+    try {
+      if (on) {
+        const { data } = await axios.get(`${API}/api/push/key`);
+        setPushSub(await subscribeToPush(data.publicKey));
+      } else {
+        await unsubscribeFromPush();
+        setPushSub(null);
+      }
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    }
+  };
+
+  const sendTestPush = async () => {
+    try {
+      const { data } = await axios.post(`${API}/api/test/notify`, { destination: { type: 'push', subscription: pushSub } });
+      if (data.ok) alert('Test notification sent 👍');
+    } catch (e) {
+      const attempt = e?.response?.data?.attempts?.[0];
+      alert(attempt?.error || e?.response?.data?.error || e.message);
+    }
+  };
+
   const sendTestEmail = async () => {
     if (!emailTo) return alert('Enter an email address first.');
     try {
@@ -103,6 +789,24 @@ export default function App() {
     }
   };
 
+  const sendTestSms = async () => {
+    if (!smsTo) return alert('Enter a phone number first.');
+    try {
+      const { data } = await axios.post(`${API}/api/test/sms`, {
+        to: smsTo,
+        body: 'Player Alert — Test SMS ✅ Server can send texts.'
+      });
+      if (data.ok) alert(`SMS sent to ${data.sent} number(s) 👍`);
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    }
+  };
+
+  const logout = async () => {
+    try { await axios.post(`${API}/api/auth/logout`); } catch (e) { /* token may already be gone */ }
+    onLogout();
+  };
+
   const bannerStyle = {
     padding: '12px 16px',
     borderRadius: 12,
@@ -115,17 +819,43 @@ export default function App() {
 
   return (
     <div style={{ maxWidth: 720, margin: '24px auto', fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif' }}>
-      <h1>⚾ Player Entry Alert (AFL)</h1>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h1>⚾ Player Entry Alert</h1>
+        <button onClick={logout}>Log out</button>
+      </div>
 
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+        <label>League
+          <select value={sportId} onChange={e => setSportId(e.target.value)} style={{ width:'100%' }}>
+            {sports.length === 0 && <option value="11">Arizona Fall League</option>}
+            {sports.map(s => <option key={s.id} value={String(s.id)}>{s.name}</option>)}
+          </select>
+        </label>
         <label>Team
-          <input value={team} onChange={e => setTeam(e.target.value)} style={{ width:'100%' }}/>
+          <input value={team} onChange={e => setTeam(e.target.value)} list="team-options" style={{ width:'100%' }}/>
+          <datalist id="team-options">
+            {teams.map(t => <option key={t.id} value={t.name}>{t.league || ''}</option>)}
+          </datalist>
         </label>
-        <label>Player
-          <input value={playerName} onChange={e => setPlayerName(e.target.value)} style={{ width:'100%' }}/>
+        <label>Player{personId ? ` (#${personId})` : ''}
+          <div style={{ display: 'flex', gap: 4 }}>
+            <input value={playerName} onChange={e => { setPlayerName(e.target.value); setPersonId(null); }} style={{ flex: 1 }}/>
+            <button type="button" onClick={findPlayer}>Find</button>
+          </div>
+          {playerMatches.length > 0 && (
+            <ul style={{ margin: '4px 0', paddingLeft: 16, fontSize: 14 }}>
+              {playerMatches.map(p => (
+                <li key={p.personId}>
+                  <a href="#pick" onClick={e => { e.preventDefault(); pickPlayer(p); }}>
+                    {p.fullName}
+                  </a> — {p.position || '?'}{p.team ? `, ${p.team}` : ''}
+                </li>
+              ))}
+            </ul>
+          )}
         </label>
         <label>Date
-          <input type="date" value={date} onChange={e => setDate(e.target.value)} style={{ width:'100%' }}/>
+          <input type="date" value={date} onChange={e => { datePicked.current = true; setDate(e.target.value); }} style={{ width:'100%' }}/>
         </label>
         <label>Manual gamePk (optional)
           <input value={gamePk} onChange={e => setGamePk(e.target.value)} style={{ width:'100%' }}/>
@@ -138,15 +868,102 @@ export default function App() {
           <input type="checkbox" checked={simulate} onChange={e => setSimulate(e.target.checked)} />
           {' '}Simulation Mode
         </label>
+        {replays.length > 0 && (
+          <label style={{ marginLeft: 16 }}>
+            Replay{' '}
+            <select value={replay} onChange={e => setReplay(e.target.value)}>
+              <option value="">— live —</option>
+              {replays.map(r => <option key={r.name} value={r.name}>{r.name} ({r.frames} frames)</option>)}
+            </select>
+            {replay && (
+              <>
+                {' '}at{' '}
+                <input type="number" min="1" value={speed} onChange={e => setSpeed(e.target.value)} style={{ width: 56 }}/>×
+              </>
+            )}
+          </label>
+        )}
       </div>
 
       <div style={{ marginTop: 16 }}>
         <label>Email To (for alerts / test):
           <input value={emailTo} onChange={e => setEmailTo(e.target.value)} placeholder="you@example.com" style={{ width:'100%', marginTop: 4 }}/>
         </label>
+        <label style={{ display: 'block', marginTop: 8 }}>Also watch (one per line, optional “Name @ Team”):
+          <textarea value={extraPlayers} onChange={e => setExtraPlayers(e.target.value)} rows={3} placeholder="Jane Prospect&#10;John Slugger @ Scottsdale Scorpions" style={{ width:'100%', marginTop: 4 }}/>
+        </label>
+        <label style={{ display: 'block', marginTop: 8 }}>SMS To (comma-separated):
+          <input value={smsTo} onChange={e => setSmsTo(e.target.value)} placeholder="+15551234567" style={{ width:'100%', marginTop: 4 }}/>
+        </label>
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          <select value={hook.type} onChange={e => setHook({ ...hook, type: e.target.value })}>
+            <option value="webhook">Webhook</option>
+            <option value="slack">Slack</option>
+            <option value="discord">Discord</option>
+          </select>
+          <input value={hook.url} onChange={e => setHook({ ...hook, url: e.target.value })} placeholder="https://hooks.example.com/…" style={{ flex: 2 }}/>
+          {hook.type === 'webhook' && (
+            <input value={hook.secret} onChange={e => setHook({ ...hook, secret: e.target.value })} placeholder="HMAC secret (optional)" style={{ flex: 1 }}/>
+          )}
+          <button onClick={sendTestHook}>Test</button>
+        </div>
+        {pushSupported() && (
+          <div style={{ marginTop: 8, fontSize: 14 }}>
+            <label>
+              <input type="checkbox" checked={Boolean(pushSub)} onChange={e => togglePush(e.target.checked)} />
+              {' '}Notifications on this device, even when this tab is closed
+            </label>
+            {pushSub && <button onClick={sendTestPush} style={{ marginLeft: 8 }}>Test</button>}
+          </div>
+        )}
+        <div style={{ marginTop: 8, fontSize: 14 }}>
+          Send alerts{' '}
+          <select value={delivery} onChange={e => setDelivery(e.target.value)}>
+            <option value="immediate">as they happen</option>
+            <option value="digest">as one summary after the game</option>
+          </select>
+          <label style={{ marginLeft: 12 }}>
+            Quiet hours{' '}
+            <input type="time" value={quiet.start} onChange={e => setQuiet({ ...quiet, start: e.target.value })} />
+            {' '}to{' '}
+            <input type="time" value={quiet.end} onChange={e => setQuiet({ ...quiet, end: e.target.value })} />
+          </label>
+        </div>
+        <div style={{ marginTop: 8, fontSize: 14 }}>
+          <label>
+            <input type="checkbox" checked={follow} onChange={e => setFollow(e.target.checked)} />
+            {' '}Follow every upcoming game
+          </label>
+          {follow && (
+            <label style={{ marginLeft: 12 }}>
+              through{' '}
+              <input type="date" value={until} onChange={e => setUntil(e.target.value)} />
+              {!until && ' (end of season)'}
+            </label>
+          )}
+        </div>
+        <div style={{ marginTop: 8, fontSize: 14 }}>
+          Alert on:
+          {EVENT_OPTIONS.map(([type, label]) => (
+            <label key={type} style={{ marginLeft: 12, whiteSpace: 'nowrap' }}>
+              <input type="checkbox" checked={events.includes(type)} onChange={e => toggleEvent(type, e.target.checked)} />
+              {' '}{label}
+            </label>
+          ))}
+        </div>
+        <div style={{ marginTop: 8, fontSize: 14 }}>
+          Cooldown between alerts{' '}
+          <input type="number" min="0" value={cooldownSec} onChange={e => setCooldownSec(e.target.value)} style={{ width: 70 }}/>s
+          <label style={{ marginLeft: 12 }}>
+            <input type="checkbox" checked={stopAfterAlert} onChange={e => setStopAfterAlert(e.target.checked)} />
+            {' '}Stop once every selected event has alerted
+          </label>
+        </div>
         <div style={{ marginTop: 8 }}>
           <button onClick={sendTestEmail}>Send Test Email</button>
+          <button onClick={sendTestSms} style={{ marginLeft: 8 }}>Send Test SMS</button>
           <button onClick={startServerWatcher} style={{ marginLeft: 8 }}>Start Server Watcher</button>
+          <button onClick={startRosterWatcher} style={{ marginLeft: 8 }}>Watch Roster Moves</button>
           <button onClick={stopServerWatcher} disabled={!watchId} style={{ marginLeft: 8 }}>Stop Watcher</button>
         </div>
       </div>
@@ -156,12 +973,48 @@ export default function App() {
       <div style={{ marginTop: 16, fontSize: 14, opacity: 0.8 }}>
         <div><b>GamePk:</b> {gamePk || '—'}</div>
         <div><b>Game Status:</b> {status?.rawGameState || 'Loading…'}</div>
-        {status && (
-          <pre style={{ background:'#fafafa', padding:12, borderRadius:8, overflow:'auto' }}>
-{JSON.stringify(status, null, 2)}
-          </pre>
+        {eventLog.length > 0 && (
+          <div style={{ marginTop: 8 }}>
+            <b>Live events</b>
+            <ul style={{ margin: '4px 0', paddingLeft: 16, maxHeight: 200, overflow: 'auto' }}>
+              {eventLog.map((m, i) => (
+                <li key={`${m.at}-${i}`}>
+                  {new Date(m.at).toLocaleTimeString()} —{' '}
+                  {m.type === 'alert' ? <b>{m.headline}</b>
+                    : m.type === 'status' ? `${m.playerName}: ${m.status.inGame ? 'in game' : 'not in'} (${m.status.rawGameState})`
+                    : m.type === 'schedule' ? `📅 ${m.playerName}: ${m.message}`
+                    : m.type === 'delivery' && m.status === 'held' ? `🌙 Held for quiet hours: ${m.event} → ${m.destination}`
+                    : m.type === 'delivery' && m.status === 'snoozed' ? `💤 Not sent, snoozed: ${m.event} → ${m.destination}`
+                    : m.type === 'delivery' && m.status === 'opted-out' ? `🚫 Not sent, opted out of texts: ${m.event} → ${m.destination}`
+                    : m.type === 'delivery' ? `${m.ok ? '✉️ Sent' : '⚠️ Failed'} ${m.event} → ${m.destination} (attempt ${m.attempt}${m.error ? `: ${m.error}` : ''})`
+                    : m.type === 'paused' ? '⏸ Watcher paused'
+                    : m.type === 'resumed' ? '▶️ Watcher resumed'
+                    : m.type === 'updated' ? `✏️ Watcher settings changed (${m.changes.join(', ')})`
+                    : m.type === 'error' ? `🚨 Watcher failing: ${m.consecutiveErrors} errors in a row (${m.stage}: ${m.message})`
+                    : m.reason ? `Watcher stopped: ${m.reason}` : 'Watcher stopped'}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {gamePk.trim() && !simulate ? (
+          <GameCard gamePk={gamePk.trim()} playerName={playerName} personId={personId} refreshKey={feedVersion} />
+        ) : status && (
+          <div style={{ marginTop: 8 }}>
+            <b>{status.player}</b>: {status.inGame ? 'in the game' : 'not in yet'}
+            {status.position ? ` · ${status.position}` : ''}{status.battingOrder ? ` · batting order ${status.battingOrder}` : ''}
+            {status.side ? ` · ${status.side}` : ''}
+          </div>
         )}
       </div>
+
+      <WatchersPanel
+        followedId={watchId}
+        onFollow={id => { setEventLog([]); setWatchId(id); }}
+        version={watchersVersion}
+      />
+      <AlertHistory />
+      <TemplateEditor />
     </div>
   );
 }
@@ -1,6 +1,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -8,3 +9,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Installable PWA: the service worker also receives Web Push alerts while the app is closed
+serviceWorkerRegistration.register();
@@ -0,0 +1,48 @@
+// Registers public/service-worker.js and manages this browser's Web Push subscription.
+// Service workers need a secure context: https, or http://localhost during development.
+export const pushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+export function register() {
+  if (!('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(e => {
+      console.warn('Service worker registration failed:', e.message);
+    });
+  });
+}
+
+// VAPID public keys are URL-safe base64; PushManager wants the raw bytes
+function urlBase64ToUint8Array(base64) {
+  const padded = `${base64}${'='.repeat((4 - (base64.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+export async function currentPushSubscription() {
+  if (!pushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  const sub = await registration.pushManager.getSubscription();
+  return sub ? sub.toJSON() : null;
+}
+
+// Asks for notification permission and returns the subscription JSON the server stores as a push destination
+export async function subscribeToPush(publicKey) {
+  if (!pushSupported()) throw new Error('This browser does not support push notifications');
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notifications are blocked for this site');
+  const registration = await navigator.serviceWorker.ready;
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) return existing.toJSON();
+  const sub = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(publicKey),
+  });
+  return sub.toJSON();
+}
+
+export async function unsubscribeFromPush() {
+  if (!pushSupported()) return;
+  const registration = await navigator.serviceWorker.ready;
+  const sub = await registration.pushManager.getSubscription();
+  if (sub) await sub.unsubscribe();
+}
@@ -0,0 +1,48 @@
+// lib/app.js
+// Builds the Express app: the API plus the React build. Everything it talks to outside the process can be
+// swapped: `http` for statsapi requests and `transports` for mail, SMS, webhooks and Web Push.
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { setHttpClient } = require('./statsapi');
+const { setTransports } = require('./notifiers');
+const { authenticate } = require('./auth');
+const health = require('./routes/health');
+const inbound = require('./routes/inbound');
+const auth = require('./routes/auth');
+const games = require('./routes/games');
+const notify = require('./routes/notify');
+const alerts = require('./routes/alerts');
+const templates = require('./routes/templates');
+const replays = require('./routes/replays');
+const watch = require('./routes/watch');
+
+const buildPath = path.join(__dirname, '..', 'client', 'build');
+
+function createApp({ http, transports } = {}) {
+  if (http) setHttpClient(http);
+  if (transports) setTransports(transports);
+
+  const app = express();
+  // Same-origin only unless CORS_ORIGINS lists the origins allowed to call the API
+  const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  app.use(cors({ origin: corsOrigins.length ? corsOrigins : false }));
+  app.use(express.json());
+
+  app.use(health);
+  app.use(auth.open);
+  // Replies to alerts; the provider's signature stands in for a user
+  app.use(inbound);
+  // Everything else under /api needs a user
+  app.use('/api', authenticate);
+  for (const router of [auth.router, games, notify, alerts, templates, replays, watch]) app.use(router);
+
+  // Serve the React build; any non-API route is the single-page app (Express 5-safe pattern)
+  app.use(express.static(buildPath));
+  app.get('/', (_req, res) => res.sendFile(path.join(buildPath, 'index.html')));
+  app.get(/^(?!\/api\/).+/, (_req, res) => res.sendFile(path.join(buildPath, 'index.html')));
+
+  return app;
+}
+
+module.exports = { createApp };
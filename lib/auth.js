@@ -0,0 +1,187 @@
+// lib/auth.js
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { log } = require('./log');
+const { DATA_DIR, writeJsonAtomic } = require('./store');
+
+// Users live in a JSON file next to the watcher store. Passwords are scrypt-hashed; both login
+// sessions and API tokens are random bearer tokens stored only as SHA-256 hashes.
+const usersStorePath = process.env.USERS_STORE || path.join(DATA_DIR, 'users.json');
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+let usersStore = { nextUserId: 1, users: {} };
+
+function loadUsersStore() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(usersStorePath, 'utf8'));
+    usersStore = { nextUserId: raw.nextUserId || 1, users: raw.users || {} };
+  } catch (e) {
+    if (e.code !== 'ENOENT') log.error('Users store read error', { error: e.message });
+  }
+}
+
+function saveUsersStore() {
+  try {
+    writeJsonAtomic(usersStorePath, usersStore);
+  } catch (e) {
+    log.error('Users store write error', { error: e.message });
+  }
+}
+
+// scrypt costs tens of milliseconds, so it runs on the libuv pool rather than blocking pollers and streams
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `${salt}:${(await scrypt(password, salt)).toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  const candidate = await scrypt(password, salt);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// Unknown usernames are checked against this, so a login takes as long whether or not the account exists
+let dummyHash = null;
+
+// The user for a username and password, or null
+async function checkLogin(username, password) {
+  const user = findUserByName(username);
+  if (!dummyHash) dummyHash = hashPassword('not a real password');
+  const ok = await verifyPassword(String(password || ''), user ? user.passwordHash : await dummyHash);
+  return user && ok ? user : null;
+}
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+function publicUser(u) {
+  return { id: u.id, username: u.username, createdAt: u.createdAt };
+}
+
+function findUserByName(username) {
+  const needle = String(username || '').trim().toLowerCase();
+  return Object.values(usersStore.users).find(u => u.username.toLowerCase() === needle) || null;
+}
+
+// kind 'session' expires; kind 'api' lives until revoked
+function issueToken(user, kind, name = null) {
+  const token = `pa_${crypto.randomBytes(32).toString('base64url')}`;
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    kind,
+    name,
+    hash: sha256(token),
+    createdAt: new Date().toISOString(),
+    expiresAt: kind === 'session' ? new Date(Date.now() + SESSION_TTL).toISOString() : null,
+    lastUsedAt: null,
+  };
+  user.tokens.push(entry);
+  saveUsersStore();
+  return { token, entry };
+}
+
+function userForToken(token) {
+  if (!token) return null;
+  const hash = sha256(token);
+  for (const u of Object.values(usersStore.users)) {
+    const entry = u.tokens.find(t => t.hash === hash);
+    if (!entry) continue;
+    if (entry.expiresAt && Date.parse(entry.expiresAt) < Date.now()) return null;
+    return { user: u, entry };
+  }
+  return null;
+}
+
+// Only a watcher's event stream takes ?access_token=: EventSource can't set headers. Anywhere else a token in
+// the URL would end up in access logs, proxy logs and browser history.
+const QUERY_TOKEN_ROUTE = /^\/api\/watch\/[^/]+\/events$/;
+
+// Bearer header for API clients; ?access_token= only for GET on a watcher's event stream
+function authenticate(req, res, next) {
+  const header = req.get('authorization') || '';
+  const queryToken = req.method === 'GET' && QUERY_TOKEN_ROUTE.test(req.originalUrl.split('?')[0]) ? req.query.access_token : null;
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : queryToken;
+  const hit = userForToken(token);
+  if (!hit) return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHENTICATED' });
+  hit.entry.lastUsedAt = new Date().toISOString();
+  req.user = hit.user;
+  req.token = hit.entry;
+  next();
+}
+
+// Fixed-window counters per user and bucket. The middleware's consume(userId) counts one use outside a
+// request (e.g. a watcher started from an SMS reply) and returns the ms until the window reopens, 0 if allowed.
+const rateWindows = new Map();
+function rateLimit(bucket, limit, windowMs) {
+  const consume = userId => {
+    const key = `${bucket}:${userId}`;
+    const now = Date.now();
+    let w = rateWindows.get(key);
+    if (!w || now - w.start >= windowMs) {
+      w = { start: now, count: 0 };
+      rateWindows.set(key, w);
+    }
+    return ++w.count > limit ? w.start + windowMs - now : 0;
+  };
+  const middleware = (req, res, next) => {
+    const waitMs = consume(req.user.id);
+    if (waitMs) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({ error: `Rate limit exceeded for ${bucket}: ${limit} per ${Math.round(windowMs / 60000)} min`, code: 'RATE_LIMITED' });
+    }
+    next();
+  };
+  return Object.assign(middleware, { consume });
+}
+const limitTests = rateLimit('test', 10, 10 * 60 * 1000);
+const limitWatchStart = rateLimit('watch', 30, 60 * 60 * 1000);
+// Sign-in attempts, before there is a user: keyed by client IP and, for login, by the username tried
+const limitLoginIp = rateLimit('login', 30, 15 * 60 * 1000);
+const limitLoginUser = rateLimit('login-user', 10, 15 * 60 * 1000);
+
+// Counts one sign-in attempt; answers 429 and returns false once the IP or username is over its limit
+function allowLoginAttempt(req, res, username = null) {
+  const waitMs = Math.max(limitLoginIp.consume(req.ip), username ? limitLoginUser.consume(String(username).trim().toLowerCase()) : 0);
+  if (!waitMs) return true;
+  res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+  res.status(429).json({ error: 'Too many sign-in attempts, try again later', code: 'RATE_LIMITED' });
+  return false;
+}
+
+loadUsersStore();
+
+// Whether anyone has signed up yet: the first account can always be created
+const hasUsers = () => Object.keys(usersStore.users).length > 0;
+
+// Takes a hashPassword() result; the caller issues the new user a token, which saves the store
+function createUser(username, passwordHash) {
+  const user = {
+    id: String(usersStore.nextUserId++),
+    username,
+    passwordHash,
+    tokens: [],
+    createdAt: new Date().toISOString(),
+  };
+  usersStore.users[user.id] = user;
+  return user;
+}
+
+module.exports = {
+  hasUsers,
+  createUser,
+  saveUsersStore,
+  hashPassword,
+  verifyPassword,
+  checkLogin,
+  allowLoginAttempt,
+  publicUser,
+  findUserByName,
+  issueToken,
+  authenticate,
+  rateLimit,
+  limitTests,
+  limitWatchStart,
+};
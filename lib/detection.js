@@ -0,0 +1,283 @@
+// lib/detection.js
+// Everything read out of a live feed: whether a player has appeared, play-by-play events, lineup
+// spots, box score lines and game summaries. Pure functions over statsapi payloads.
+const { normalizeName } = require('./util');
+
+function playerAppearedFromBoxscore(match) {
+  if (!match) return false;
+  const bo = match?.battingOrder;
+  const bat = match?.stats?.batting || {};
+  const fld = match?.stats?.fielding || {};
+  const pit = match?.stats?.pitching || {};
+
+  const battingActivity =
+    (bat.atBats || 0) > 0 ||
+    (bat.plateAppearances || 0) > 0 ||
+    (bat.hits || 0) > 0 ||
+    (bat.runs || 0) > 0 ||
+    (bat.rbi || 0) > 0;
+
+  const fieldingActivity =
+    (fld.putOuts || 0) > 0 ||
+    (fld.assists || 0) > 0 ||
+    (fld.chances || 0) > 0;
+
+  const pitchingActivity =
+    (pit.battersFaced || 0) > 0 ||
+    (pit.pitchesThrown || 0) > 0 ||
+    (pit.inningsPitched && pit.inningsPitched !== '0.0');
+
+  return Boolean(bo || battingActivity || fieldingActivity || pitchingActivity);
+}
+
+// A play counts if the player batted, pitched, ran, was credited on defense, or was
+// the subject of a substitution event — matched on person IDs, not description text.
+function playerAppearedFromPlays(allPlays = [], personId) {
+  if (!allPlays?.length || !personId) return false;
+  const id = Number(personId);
+  for (const p of allPlays) {
+    if (p?.matchup?.batter?.id === id || p?.matchup?.pitcher?.id === id) return true;
+    if ((p?.playEvents || []).some(ev => ev?.player?.id === id)) return true;
+    for (const r of p?.runners || []) {
+      if (r?.details?.runner?.id === id) return true;
+      if ((r?.credits || []).some(c => c?.player?.id === id)) return true;
+    }
+  }
+  return false;
+}
+
+// Boxscore players are keyed "ID<personId>"; fall back to a loose name match
+function findPlayerInBoxscore(teams, { personId, playerName }) {
+  const needle = normalizeName(playerName);
+  for (const side of ['home', 'away']) {
+    const players = teams?.[side]?.players || {};
+    const match = personId
+      ? players[`ID${personId}`]
+      : Object.values(players).find(p => needle && normalizeName(p?.person?.fullName) === needle);
+    if (match) return { side, match };
+  }
+  return { side: null, match: null };
+}
+
+// 'entered' fires on the inGame false→true edge; the rest are read from allPlays and
+// carry a key derived from the play index, so a replayed play never alerts twice.
+const EVENT_TYPES = ['entered', 'atBat', 'pitching', 'homeRun', 'removed', 'positionChange'];
+const ONE_SHOT_EVENTS = ['entered', 'pitching'];
+// Roster watchers (lib/rosters.js) raise these from roster snapshots and the transactions feed instead
+const ROSTER_EVENT_TYPES = ['rosterAdded', 'rosterRemoved', 'rosterStatus', 'transaction'];
+// Everything a recipient's prefs or a template can name
+const ALERT_EVENT_TYPES = [...EVENT_TYPES, ...ROSTER_EVENT_TYPES];
+
+function inningLabel(p) {
+  const half = p?.about?.halfInning === 'bottom' ? 'Bot' : 'Top';
+  return p?.about?.inning ? `${half} ${p.about.inning}` : null;
+}
+
+function detectPlayEvents(allPlays = [], personId) {
+  const events = [];
+  if (!allPlays?.length || !personId) return events;
+  const id = Number(personId);
+  let pitching = false;
+
+  for (const p of allPlays) {
+    const idx = p?.about?.atBatIndex;
+    const inning = inningLabel(p);
+
+    if (p?.matchup?.batter?.id === id) {
+      events.push({ type: 'atBat', key: `atBat:${idx}`, inning, detail: `vs ${p.matchup.pitcher?.fullName || 'pitcher'}` });
+      if (p?.about?.isComplete && p?.result?.eventType === 'home_run') {
+        events.push({ type: 'homeRun', key: `homeRun:${idx}`, inning, detail: p.result.description || null });
+      }
+    }
+    if (!pitching && p?.matchup?.pitcher?.id === id) {
+      pitching = true;
+      events.push({ type: 'pitching', key: 'pitching', inning, detail: `facing ${p.matchup.batter?.fullName || 'batter'}` });
+    }
+    for (const ev of p?.playEvents || []) {
+      const evKey = `${idx}:${ev?.index}`;
+      if (ev?.replacedPlayer?.id === id) {
+        events.push({ type: 'removed', key: `removed:${evKey}`, inning, detail: ev.details?.description || null });
+      }
+      if (ev?.details?.eventType === 'defensive_switch' && ev?.player?.id === id) {
+        events.push({ type: 'positionChange', key: `positionChange:${evKey}`, inning, position: ev.position?.abbreviation || null, detail: ev.details?.description || null });
+      }
+    }
+  }
+  return events;
+}
+
+const EVENT_HEADLINES = {
+  entered: (name) => `${name} just entered the game`,
+  atBat: (name, ev) => `${name} is coming to bat${ev.inning ? ` (${ev.inning})` : ''}`,
+  pitching: (name, ev) => `${name} is now pitching${ev.inning ? ` (${ev.inning})` : ''}`,
+  homeRun: (name, ev) => `${name} homered${ev.inning ? ` (${ev.inning})` : ''}!`,
+  removed: (name, ev) => `${name} was removed from the game${ev.inning ? ` (${ev.inning})` : ''}`,
+  positionChange: (name, ev) => `${name} moved to ${ev.position || 'a new position'}`,
+  rosterAdded: (name, ev) => `${name} was added to the ${ev.team || 'team'} roster`,
+  rosterRemoved: (name, ev) => `${name} left the ${ev.team || 'team'} roster`,
+  rosterStatus: (name, ev) => `${name} is now ${ev.status || 'off the active list'}${ev.team ? ` (${ev.team})` : ''}`,
+  transaction: (name, ev) => `${ev.typeDesc || 'Transaction'}: ${name}`,
+};
+
+const SIMULATED_STATUS = { inGame: true, side: 'home', battingOrder: '501', position: '2B', rawGameState: 'In Progress (Simulated)' };
+
+// Distill one player's status out of an already-fetched live feed.
+// `player` is { personId, playerName }; personId wins when both are present.
+function statusFromFeed(data, player) {
+  const state = data?.gameData?.status?.detailedState || 'Unknown';
+  const { side, match } = findPlayerInBoxscore(data?.liveData?.boxscore?.teams, player);
+  const personId = match?.person?.id || (player.personId ? Number(player.personId) : null);
+
+  const entered =
+    playerAppearedFromBoxscore(match) ||
+    playerAppearedFromPlays(data?.liveData?.plays?.allPlays, personId);
+
+  return {
+    personId,
+    fullName: match?.person?.fullName || null,
+    inGame: Boolean(entered),
+    side,
+    battingOrder: match?.battingOrder || null,
+    position: match?.position?.abbreviation || null,
+    rawGameState: state,
+  };
+}
+
+function ordinal(n) {
+  const s = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return `${n}${s[(v - 20) % 10] || s[v] || s[0]}`;
+}
+
+// statsapi battingOrder is spot * 100 plus the substitute number: '300' → '3rd', '501' → '5th (sub)'
+function battingSpot(battingOrder) {
+  const n = Number(battingOrder);
+  if (!n) return null;
+  return `${ordinal(Math.floor(n / 100))}${n % 100 ? ' (sub)' : ''}`;
+}
+
+// One player's line from the boxscore, e.g. "2-4, HR, 2 RBI, BB" or "2.0 IP, 1 H, 0 ER, 1 BB, 3 K"
+function boxscoreLine(match) {
+  const bat = match?.stats?.batting || {};
+  const pit = match?.stats?.pitching || {};
+  const count = (n, label) => (n > 1 ? `${n} ${label}` : n === 1 ? label : null);
+  const parts = [];
+  if (bat.atBats || bat.plateAppearances) {
+    parts.push([
+      `${bat.hits || 0}-${bat.atBats || 0}`,
+      count(bat.homeRuns, 'HR'),
+      bat.rbi ? `${bat.rbi} RBI` : null,
+      count(bat.runs, 'R'),
+      count(bat.baseOnBalls, 'BB'),
+      count(bat.strikeOuts, 'K'),
+    ].filter(Boolean).join(', '));
+  }
+  if (pit.battersFaced || pit.pitchesThrown) {
+    parts.push(`${pit.inningsPitched || '0.0'} IP, ${pit.hits || 0} H, ${pit.earnedRuns || 0} ER, ${pit.baseOnBalls || 0} BB, ${pit.strikeOuts || 0} K`);
+  }
+  return parts.join('; ') || null;
+}
+
+function gameSummaryFromFeed(gamePk, data) {
+  const teams = data?.gameData?.teams || {};
+  const linescore = data?.liveData?.linescore;
+  const runs = linescore?.teams;
+  const half = linescore?.inningHalf || linescore?.inningState;
+  return {
+    gamePk,
+    away: teams.away?.name || 'Away',
+    home: teams.home?.name || 'Home',
+    score: runs ? `${runs.away?.runs ?? 0}-${runs.home?.runs ?? 0}` : null,
+    awayScore: runs ? runs.away?.runs ?? 0 : null,
+    homeScore: runs ? runs.home?.runs ?? 0 : null,
+    inning: linescore?.currentInning ? `${half ? `${half} ` : ''}${linescore.currentInning}` : null,
+    rawGameState: data?.gameData?.status?.detailedState || '-',
+  };
+}
+
+// The dashboard's game card: linescore, count, current matchup and lineups, plus one player's lineup
+// slot and line so far when `player` names one
+const summaryPerson = (p, teams) => {
+  if (!p?.id) return null;
+  const { match } = findPlayerInBoxscore(teams, { personId: p.id });
+  return { personId: p.id, name: p.fullName || match?.person?.fullName || null, line: boxscoreLine(match) };
+};
+
+function lineupFromBoxscore(team) {
+  const players = team?.players || {};
+  return (team?.battingOrder || []).map(id => {
+    const p = players[`ID${id}`] || {};
+    return {
+      personId: id,
+      name: p.person?.fullName || null,
+      position: p.position?.abbreviation || null,
+      battingOrder: p.battingOrder || null,
+    };
+  });
+}
+
+function liveGameSummary(gamePk, data, player) {
+  const linescore = data?.liveData?.linescore || {};
+  const boxTeams = data?.liveData?.boxscore?.teams;
+  const matchup = data?.liveData?.plays?.currentPlay?.matchup || {};
+  const offense = linescore.offense || {};
+  const side = key => ({
+    name: data?.gameData?.teams?.[key]?.name || null,
+    abbreviation: data?.gameData?.teams?.[key]?.abbreviation || null,
+    runs: linescore.teams?.[key]?.runs ?? null,
+    hits: linescore.teams?.[key]?.hits ?? null,
+    errors: linescore.teams?.[key]?.errors ?? null,
+  });
+
+  const summary = {
+    ...gameSummaryFromFeed(gamePk, data),
+    abstractState: data?.gameData?.status?.abstractGameState || null,
+    gameDate: data?.gameData?.datetime?.dateTime || null,
+    venue: data?.gameData?.venue?.name || null,
+    teams: { away: side('away'), home: side('home') },
+    innings: (linescore.innings || []).map(i => ({ num: i.num, away: i.away?.runs ?? null, home: i.home?.runs ?? null })),
+    count: linescore.currentInning ? { balls: linescore.balls ?? 0, strikes: linescore.strikes ?? 0, outs: linescore.outs ?? 0 } : null,
+    matchup: {
+      batter: summaryPerson(matchup.batter || offense.batter, boxTeams),
+      pitcher: summaryPerson(matchup.pitcher || linescore.defense?.pitcher, boxTeams),
+      onDeck: summaryPerson(offense.onDeck, boxTeams),
+    },
+    runners: { first: Boolean(offense.first), second: Boolean(offense.second), third: Boolean(offense.third) },
+    lineups: { away: lineupFromBoxscore(boxTeams?.away), home: lineupFromBoxscore(boxTeams?.home) },
+    player: null,
+  };
+
+  if (player.personId || player.playerName) {
+    const { side: playerSide, match } = findPlayerInBoxscore(boxTeams, player);
+    if (match) {
+      const s = statusFromFeed(data, player);
+      summary.player = {
+        ...s,
+        side: playerSide,
+        lineupSlot: battingSpot(s.battingOrder),
+        line: boxscoreLine(match),
+        batting: match.stats?.batting || {},
+        pitching: match.stats?.pitching || {},
+      };
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  ONE_SHOT_EVENTS,
+  ROSTER_EVENT_TYPES,
+  ALERT_EVENT_TYPES,
+  EVENT_HEADLINES,
+  SIMULATED_STATUS,
+  playerAppearedFromBoxscore,
+  playerAppearedFromPlays,
+  findPlayerInBoxscore,
+  detectPlayEvents,
+  statusFromFeed,
+  battingSpot,
+  boxscoreLine,
+  gameSummaryFromFeed,
+  liveGameSummary,
+};
@@ -0,0 +1,98 @@
+// lib/feeds.js
+const { log } = require('./log');
+const { statsGet } = require('./statsapi');
+const { SIMULATED_STATUS, statusFromFeed } = require('./detection');
+const { SIMULATION_PK, REPLAY_PREFIX, replayFeed } = require('./replay');
+
+// Minimal RFC 6902 JSON Patch, enough for statsapi's diffPatch responses
+function jsonPointer(pointer) {
+  if (!pointer) throw new Error('Patching the document root is not supported');
+  return pointer.split('/').slice(1).map(k => k.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function patchParent(doc, pointer) {
+  const keys = jsonPointer(pointer);
+  const last = keys.pop();
+  let node = doc;
+  for (const k of keys) {
+    node = node?.[k];
+    if (node === null || typeof node !== 'object') throw new Error(`Bad patch path ${pointer}`);
+  }
+  return [node, last];
+}
+
+function applyJsonPatch(doc, ops) {
+  const get = pointer => { const [node, key] = patchParent(doc, pointer); return node[key]; };
+  const put = (pointer, value, insert) => {
+    const [node, key] = patchParent(doc, pointer);
+    if (!Array.isArray(node)) node[key] = value;
+    else if (insert) node.splice(key === '-' ? node.length : Number(key), 0, value);
+    else node[Number(key)] = value;
+  };
+  const remove = pointer => {
+    const [node, key] = patchParent(doc, pointer);
+    const value = node[key];
+    if (Array.isArray(node)) node.splice(Number(key), 1);
+    else delete node[key];
+    return value;
+  };
+  for (const op of ops) {
+    if (op.op === 'add') put(op.path, op.value, true);
+    else if (op.op === 'replace') put(op.path, op.value, false);
+    else if (op.op === 'remove') remove(op.path);
+    else if (op.op === 'move') put(op.path, remove(op.from), true);
+    else if (op.op === 'copy') put(op.path, structuredClone(get(op.from)), true);
+  }
+  return doc;
+}
+
+// Games with a shared poller (`keep`) hold their last feed here and only fetch what changed since its
+// metaData.timeStamp. diffPatch answers with [] (no change), a list of { diff: [ops] } to apply,
+// or the full feed when the timecode is too old; any failure falls back to a full download.
+const liveFeeds = new Map();
+
+// `ttlMs` caches a full download for one-off readers of games nobody polls (see statsGet)
+async function fetchLiveFeed(gamePk, { keep = false, ttlMs = 0 } = {}) {
+  const feedPath = `/v1.1/game/${gamePk}/feed/live`;
+  const prev = liveFeeds.get(gamePk);
+  let data = null;
+  if (prev?.metaData?.timeStamp) {
+    try {
+      const diff = await statsGet(`${feedPath}/diffPatch`, { startTimecode: prev.metaData.timeStamp });
+      if (Array.isArray(diff)) {
+        data = diff.length ? applyJsonPatch(structuredClone(prev), diff.flatMap(d => d.diff || [])) : prev;
+      } else {
+        data = diff;
+      }
+    } catch (e) {
+      log.warn('diffPatch failed, fetching full feed', { gamePk, error: e.message });
+    }
+  }
+  if (!data?.gameData) data = await statsGet(feedPath, {}, ttlMs);
+  if (keep) liveFeeds.set(gamePk, data);
+  return data;
+}
+
+// The last feed a shared poller read for this game, if one is polling it
+function keptLiveFeed(gamePk) {
+  return liveFeeds.get(String(gamePk)) || null;
+}
+
+function forgetLiveFeed(gamePk) {
+  liveFeeds.delete(gamePk);
+}
+
+// The feed behind any gamePk a watcher can hold: a real game, a replay, or null for simulation mode
+async function getFeed(gamePk, options) {
+  if (gamePk === SIMULATION_PK) return null;
+  if (String(gamePk).startsWith(REPLAY_PREFIX)) return replayFeed(gamePk);
+  return fetchLiveFeed(gamePk, options);
+}
+
+async function getStatusOnce({ gamePk, playerName, personId, simulate }) {
+  if (simulate) return { ...SIMULATED_STATUS };
+  const data = await getFeed(gamePk);
+  return statusFromFeed(data, { personId, playerName });
+}
+
+module.exports = { applyJsonPatch, fetchLiveFeed, keptLiveFeed, forgetLiveFeed, getFeed, getStatusOnce };
@@ -0,0 +1,91 @@
+// lib/held.js
+const { log } = require('./log');
+const { watchStore, saveWatchStore } = require('./watchStore');
+const { deliver, destinationLabel } = require('./notifiers');
+const { appendDeliveryHistory } = require('./history');
+const { emailLayout, escapeHtml } = require('./templates');
+const { withheldStatus } = require('./prefs');
+
+// Held alerts live in the watch store (not on a watcher) so they outlive the game and a restart.
+// heldEntry: { key, dest, owner, releaseAt, items: [{ watchId, alertId, subject, text, sms, payload }] };
+// alertId is null for a watcher's failure notice, which has no alert to log deliveries against
+const heldTimers = new Map();
+
+// (watchId, dest) => that destination's prefs on its watcher if still running, else null; set by watchers.js
+let currentPrefs = () => null;
+
+function setPrefsLookup(lookup) {
+  currentPrefs = lookup;
+}
+
+// Applies `changes` to the prefs of held entries whose destination `matches`, for replies that arrive while
+// alerts wait (inbound.js); the watchers that held them may have stopped by then
+function updateHeldPrefs(matches, changes) {
+  const entries = watchStore.held.filter(h => matches(h.dest));
+  for (const h of entries) h.dest = { ...h.dest, prefs: { ...h.dest.prefs, ...changes } };
+  if (entries.length) saveWatchStore();
+}
+
+function holdAlert(dest, st, msg, alertId, releaseAt) {
+  const owner = st.params.owner || null;
+  const key = `${owner || ''}|${dest.type}:${dest.to || dest.url || dest.subscription?.endpoint}`;
+  let entry = watchStore.held.find(h => h.key === key);
+  if (!entry) {
+    entry = { key, dest, owner, releaseAt: new Date(releaseAt).toISOString(), items: [] };
+    watchStore.held.push(entry);
+  }
+  entry.items.push({
+    watchId: st.id, alertId, subject: msg.subject, text: msg.text, html: msg.html, sms: msg.sms,
+    link: msg.link || null, payload: msg.payload || null,
+  });
+  scheduleHeldRelease(entry);
+  saveWatchStore();
+}
+
+function scheduleHeldRelease(entry) {
+  clearTimeout(heldTimers.get(entry.key));
+  const wait = Math.max(0, new Date(entry.releaseAt).getTime() - Date.now());
+  heldTimers.set(entry.key, setTimeout(() => releaseHeld(entry.key), wait));
+}
+
+function releaseHeld(key) {
+  heldTimers.delete(key);
+  const entry = watchStore.held.find(h => h.key === key);
+  if (!entry) return;
+  watchStore.held = watchStore.held.filter(h => h !== entry);
+  const { dest, owner } = entry;
+
+  // A STOP or SNOOZE that came in overnight still applies: opted-out items are dropped, snoozed ones wait it out
+  const items = [];
+  const snoozed = [];
+  for (const it of entry.items) {
+    const prefs = currentPrefs(it.watchId, dest) || dest.prefs;
+    const withheld = withheldStatus(prefs);
+    if (withheld === 'snoozed') snoozed.push({ it, until: Date.parse(prefs.snoozeUntil) });
+    else if (withheld) {
+      if (it.alertId) appendDeliveryHistory(it.alertId, owner, dest, { status: withheld });
+    } else items.push(it);
+  }
+  if (snoozed.length) {
+    const held = { ...entry, releaseAt: new Date(Math.max(...snoozed.map(s => s.until))).toISOString(), items: snoozed.map(s => s.it) };
+    watchStore.held.push(held);
+    scheduleHeldRelease(held);
+  }
+  saveWatchStore();
+  if (!items.length) return;
+  const msg = items.length === 1 ? { ...items[0] } : {
+    subject: `${items.length} alerts from your quiet hours`,
+    text: items.map(it => `${it.subject}\n${it.text}`).join('\n\n'),
+    sms: items.map(it => it.subject.replace(/^ALERT: /, '')).join('; '),
+  };
+  if (!msg.html) msg.html = emailLayout(msg.subject, `<pre style="font-family:inherit;white-space:pre-wrap">${escapeHtml(msg.text)}</pre>`);
+  msg.payload = items.length === 1 ? items[0].payload : { type: 'held', alerts: items.map(it => it.payload), at: new Date().toISOString() };
+  deliver(dest, msg, a => {
+    for (const it of items) if (it.alertId) appendDeliveryHistory(it.alertId, owner, dest, a);
+    if (!a.ok) log.warn('Held delivery failed', { destination: destinationLabel(dest), attempt: a.attempt, error: a.error });
+  });
+}
+
+const heldAlertCount = () => watchStore.held.reduce((n, h) => n + h.items.length, 0);
+
+module.exports = { holdAlert, scheduleHeldRelease, setPrefsLookup, updateHeldPrefs, heldAlertCount };
@@ -0,0 +1,117 @@
+// lib/history.js
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+const { incMetric } = require('./metrics');
+const { DATA_DIR } = require('./store');
+const { ymd, normalizeName } = require('./util');
+const { destinationLabel } = require('./notifiers');
+
+// Alert history, an append-only JSONL file: one line per alert ({ kind: 'alert' }) and one per delivery attempt ({ kind: 'delivery', alertId }).
+// Loaded into memory on boot; survives watchers being stopped and removed.
+const alertsLogPath = process.env.ALERTS_LOG || path.join(DATA_DIR, 'alerts.jsonl');
+let alertHistory = [];
+
+function loadAlertHistory() {
+  try {
+    alertHistory = fs.readFileSync(alertsLogPath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => { try { return JSON.parse(line); } catch (e) { return null; } })
+      .filter(Boolean);
+  } catch (e) {
+    if (e.code !== 'ENOENT') log.error('Alert history read error', { error: e.message });
+  }
+}
+
+function appendAlertHistory(row) {
+  if (row.kind === 'alert') incMetric('player_alert_alerts_total', { event: row.event });
+  else incMetric('player_alert_deliveries_total', { channel: row.channel, result: row.status });
+  alertHistory.push(row);
+  try {
+    fs.mkdirSync(path.dirname(alertsLogPath), { recursive: true });
+    fs.appendFileSync(alertsLogPath, `${JSON.stringify(row)}\n`);
+  } catch (e) {
+    log.error('Alert history write error', { error: e.message });
+  }
+}
+
+// `a` is a deliver() attempt ({ attempt, ok, error, final }), { status: 'held' } for quiet hours or
+// { status: 'snoozed' | 'opted-out' } for a recipient who replied SNOOZE or STOP
+function appendDeliveryHistory(alertId, owner, dest, a, at = new Date().toISOString()) {
+  appendAlertHistory({
+    kind: 'delivery',
+    alertId,
+    owner: owner || null,
+    at,
+    channel: dest.type,
+    destination: destinationLabel(dest),
+    status: a.status || (a.ok ? 'sent' : (a.final ? 'failed' : 'retrying')),
+    attempt: a.attempt || null,
+    error: a.error || null,
+  });
+}
+
+// Alerts (newest first) with their delivery attempts attached, filtered by owner ('*' = everyone) and query
+// from/to/date compare against the alert's calendar day in `timezone` (UTC when none is given)
+function queryAlerts(owner, { player, from, to, date, channel, gamePk, timezone = 'UTC', limit = 200 } = {}) {
+  const needle = player ? normalizeName(player) : null;
+  const ownedBy = row => owner === '*' || row.owner === owner;
+  const start = from || date;
+  const end = to || date;
+  const deliveries = new Map();
+  for (const row of alertHistory) {
+    if (row.kind !== 'delivery' || !ownedBy(row)) continue;
+    if (!deliveries.has(row.alertId)) deliveries.set(row.alertId, []);
+    deliveries.get(row.alertId).push(row);
+  }
+
+  const out = [];
+  for (let i = alertHistory.length - 1; i >= 0 && out.length < Number(limit); i--) {
+    const a = alertHistory[i];
+    if (a.kind !== 'alert' || !ownedBy(a)) continue;
+    if (needle && !(normalizeName(a.playerName).includes(needle) || String(a.personId) === String(player))) continue;
+    const day = start || end ? ymd(new Date(a.at), timezone) : null;
+    if (start && day < start) continue;
+    if (end && day > end) continue;
+    if (gamePk && String(a.gamePk) !== String(gamePk)) continue;
+    let attempts = deliveries.get(a.id) || [];
+    if (channel) {
+      attempts = attempts.filter(d => d.channel === channel);
+      if (!attempts.length) continue;
+    }
+    out.push({ ...a, deliveries: attempts });
+  }
+  return out;
+}
+
+const CSV_COLUMNS = [
+  'at', 'alertId', 'watchId', 'playerName', 'personId', 'team', 'gamePk', 'event', 'headline',
+  'channel', 'destination', 'status', 'attempt', 'error',
+  'gameState', 'inning', 'side', 'position', 'battingOrder',
+];
+
+// A leading ' keeps spreadsheets from reading a name or error as a formula (CSV injection)
+function csvCell(value) {
+  let s = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One row per delivery attempt; alerts that had no destinations still get a row
+function alertsToCsv(alerts) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const a of alerts) {
+    const base = { ...a, ...a.gameState, alertId: a.id, gameState: a.gameState?.rawGameState };
+    const attempts = a.deliveries.length ? a.deliveries : [{ status: 'no destinations' }];
+    for (const d of attempts) {
+      const row = { ...base, at: d.at || a.at, channel: d.channel, destination: d.destination, status: d.status, attempt: d.attempt, error: d.error };
+      rows.push(CSV_COLUMNS.map(c => csvCell(row[c])).join(','));
+    }
+  }
+  return `${rows.join('\n')}\n`;
+}
+
+loadAlertHistory();
+
+module.exports = { loadAlertHistory, appendAlertHistory, appendDeliveryHistory, queryAlerts, alertsToCsv };
@@ -0,0 +1,217 @@
+// lib/inbound.js
+// Replies to alerts: a recipient texts or emails a command back and it applies to the watchers that alert
+// them. parseCommand() reads the message, runCommand() applies it and returns the reply text; the webhook
+// routes (routes/inbound.js) only verify the provider and find the sender.
+const { toSportId, leagueToday, getTeamIdByName } = require('./leagues');
+const { destinationLabel } = require('./notifiers');
+const { SERVER_TZ, recipientTimeZone } = require('./prefs');
+const { formatAlertTime } = require('./templates');
+const { watchers, startAdaptiveWatcher, updateWatcher, stopWatcher, followUntil } = require('./watchers');
+const { limitWatchStart } = require('./auth');
+const { updateHeldPrefs } = require('./held');
+
+const SNOOZE_DEFAULT_MIN = 30;
+const SNOOZE_MAX_MIN = 24 * 60;
+const DEFAULT_TEAM = 'Glendale Desert Dogs';
+
+// Twilio answers these by itself when one is the whole message (Advanced Opt-Out): STOP and the rest opt the
+// number out of every text from our Twilio number, START and the rest opt it back in. The webhook still
+// sees them, so a bare opt-out word marks the sender's SMS destinations opted out rather than touching watchers.
+const OPT_OUT_WORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_WORDS = ['START', 'UNSTOP', 'YES'];
+
+const HELP_TEXT =
+  'Reply LEAVE #<id> to stop one watcher\'s alerts (LEAVE for all), SNOOZE 30 to pause them for 30 minutes, ' +
+  'RESUME to end a snooze, STATUS to list your watchers or WATCH <player> to follow a player. ' +
+  'STOP ends all texts and START turns them back on.';
+
+// { name: 'leave'|'optOut'|'optIn'|'snooze'|'resume'|'status'|'watch'|'help', watchId?, minutes?, playerName?,
+// team?, error? } from the first non-empty line; email replies quote the original alert below it
+function parseCommand(text) {
+  const line = String(text || '').split(/\r?\n/).map(l => l.trim()).find(Boolean) || '';
+  const [word = '', ...rest] = line.split(/\s+/);
+  const verb = word.toUpperCase().replace(/[^A-Z]/g, '');
+  // "#12" (or a bare number after LEAVE) picks one watcher
+  const takeId = args => {
+    const i = args.findIndex(a => /^#\d+$/.test(a));
+    return i < 0 ? null : args.splice(i, 1)[0].slice(1);
+  };
+
+  // "STOP #12" isn't a Twilio keyword (only the bare word is), so it leaves one watcher like LEAVE #12
+  if (['LEAVE', 'REMOVE'].includes(verb) || (OPT_OUT_WORDS.includes(verb) && rest.length)) {
+    const args = [...rest];
+    const watchId = takeId(args) || (/^\d+$/.test(args[0] || '') ? args[0] : null);
+    return { name: 'leave', watchId };
+  }
+  if (OPT_OUT_WORDS.includes(verb)) return { name: 'optOut' };
+  if (OPT_IN_WORDS.includes(verb)) return { name: 'optIn' };
+  if (['SNOOZE', 'MUTE'].includes(verb)) {
+    const args = [...rest];
+    const watchId = takeId(args);
+    const minutes = args.length ? Number(args[0].replace(/m(in(utes?)?)?$/i, '')) : SNOOZE_DEFAULT_MIN;
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > SNOOZE_MAX_MIN) {
+      return { name: 'help', error: `SNOOZE takes minutes from 1 to ${SNOOZE_MAX_MIN}, e.g. SNOOZE 30` };
+    }
+    return { name: 'snooze', minutes, watchId };
+  }
+  if (['RESUME', 'UNSNOOZE', 'UNMUTE'].includes(verb)) return { name: 'resume', watchId: takeId([...rest]) };
+  if (verb === 'STATUS') return { name: 'status' };
+  if (['WATCH', 'FOLLOW'].includes(verb)) {
+    // WATCH Cade Doughty, or WATCH Cade Doughty @ Scorpions for another team
+    const [playerName, team] = rest.join(' ').split('@').map(s => s.trim());
+    if (!playerName) return { name: 'help', error: 'WATCH needs a player, e.g. WATCH Cade Doughty' };
+    return { name: 'watch', playerName, team: team || null };
+  }
+  if (verb === 'HELP' || verb === 'INFO') return { name: 'help' };
+  return { name: 'help', error: line ? `Unknown command "${word}"` : 'Empty message' };
+}
+
+const digits = n => String(n || '').replace(/\D/g, '');
+// "Scout <scout@example.com>" -> "scout@example.com"
+const emailAddress = from => (/<([^>]+)>/.exec(from || '')?.[1] || String(from || '')).trim().toLowerCase();
+
+const domainOf = address => (address.includes('@') ? address.slice(address.lastIndexOf('@') + 1) : '');
+
+// Whether Inbound Parse's checks vouch for the From address: SPF passed for an envelope sender in the From
+// domain, or a DKIM signature from that domain passed (strict alignment: the same domain, not a parent). Anyone can write any From header, so a reply that
+// passes neither is not from the recipient it names.
+function emailAuthenticated({ from, SPF, dkim, envelope }) {
+  const fromDomain = domainOf(emailAddress(from));
+  if (!fromDomain) return false;
+  let envelopeFrom = '';
+  try { envelopeFrom = emailAddress(JSON.parse(envelope || '{}').from); } catch (e) { /* no envelope */ }
+  if (String(SPF || '').trim().toLowerCase() === 'pass' && domainOf(envelopeFrom) === fromDomain) return true;
+  // dkim looks like "{@example.com : pass, @mailer.example.net : fail}"
+  const passed = [...String(dkim || '').matchAll(/@([a-z0-9.-]+)\s*:\s*pass\b/gi)].map(m => m[1].toLowerCase());
+  return passed.includes(fromDomain);
+}
+
+// Whether a destination reaches the sender { channel: 'sms'|'email', from }
+function isSender(dest, { channel, from }) {
+  if (dest.type !== channel) return false;
+  if (channel === 'sms') return Boolean(digits(from)) && digits(dest.to) === digits(from);
+  return emailAddress(dest.to) === emailAddress(from);
+}
+
+// Running watchers that alert the sender, newest first; `watchId` narrows it to one
+function senderWatchers(sender, watchId = null) {
+  return [...watchers.values()]
+    .filter(w => (!watchId || String(w.id) === String(watchId)) && (w.params.destinations || []).some(d => isSender(d, sender)))
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+const watcherName = w => w.targets.map(t => t.playerName || `${t.team} roster`).join(', ');
+const senderDestinations = (w, sender) => w.params.destinations.filter(d => isSender(d, sender));
+
+// Applies `changes` to the sender's destinations on a watcher (prefs are per destination)
+function updateSenderPrefs(w, sender, changes) {
+  const destinations = w.params.destinations.map(d => (isSender(d, sender) ? { ...d, prefs: { ...d.prefs, ...changes } } : d));
+  updateWatcher(w.id, { destinations });
+}
+
+// The same for the sender's alerts held through quiet hours, which keep their own copy of the prefs
+const updateSenderHeld = (sender, changes) => updateHeldPrefs(d => isSender(d, sender), changes);
+
+async function runCommand(cmd, sender) {
+  const all = senderWatchers(sender);
+  // A texted STOP still reaches alerts held from watchers that have since stopped
+  const optOutText = cmd.name === 'optOut' && sender.channel === 'sms';
+  if (!all.length && !optOutText) return "You aren't getting any Player Alert alerts right now.";
+  const label = destinationLabel({ type: sender.channel, to: sender.from });
+  const picked = cmd.watchId ? all.filter(w => String(w.id) === String(cmd.watchId)) : all;
+  if (cmd.watchId && !picked.length) return `You aren't on watcher #${cmd.watchId}. Reply STATUS to list yours.`;
+
+  switch (cmd.name) {
+    case 'optOut':
+      // Twilio now refuses to text the number, and sends its own confirmation instead of this reply
+      if (optOutText) {
+        for (const w of all) updateSenderPrefs(w, sender, { optedOut: true });
+        updateSenderHeld(sender, { optedOut: true });
+        return 'You won\'t get any more Player Alert texts. Reply START to get them again.';
+      }
+      return leaveWatchers(all, sender, label);
+    case 'optIn':
+      for (const w of all) updateSenderPrefs(w, sender, { optedOut: false });
+      updateSenderHeld(sender, { optedOut: false });
+      return `Alerts are back on for ${all.map(w => `#${w.id}`).join(', ')}.`;
+    case 'leave':
+      return leaveWatchers(picked, sender, label);
+    case 'snooze': {
+      const until = new Date(Date.now() + cmd.minutes * 60000);
+      for (const w of picked) updateSenderPrefs(w, sender, { snoozeUntil: until.toISOString() });
+      if (!cmd.watchId) updateSenderHeld(sender, { snoozeUntil: until.toISOString() });
+      const tz = recipientTimeZone(senderDestinations(picked[0], sender)[0].prefs, picked[0].params.timezone || SERVER_TZ);
+      return `Snoozed ${picked.length === 1 ? `#${picked[0].id}` : 'your alerts'} until ${formatAlertTime(until, tz)}. Reply RESUME to undo.`;
+    }
+    case 'resume':
+      for (const w of picked) updateSenderPrefs(w, sender, { snoozeUntil: null });
+      if (!cmd.watchId) updateSenderHeld(sender, { snoozeUntil: null });
+      return `Alerts are back on for ${picked.map(w => `#${w.id}`).join(', ')}.`;
+    case 'status':
+      return all.map(w => {
+        const { prefs } = senderDestinations(w, sender)[0];
+        const snoozed = Date.parse(prefs?.snoozeUntil) > Date.now()
+          ? `, snoozed until ${formatAlertTime(new Date(prefs.snoozeUntil), recipientTimeZone(prefs, w.params.timezone || SERVER_TZ))}`
+          : '';
+        const state = `${w.paused ? ', paused' : ''}${prefs?.optedOut ? ', opted out' : ''}${snoozed}`;
+        return `#${w.id} ${watcherName(w)}: ${(w.params.events || ['entered']).join(', ')}${state}`;
+      }).join('\n');
+    case 'watch':
+      return startWatchFromReply(cmd, sender, all[0]);
+    default:
+      return cmd.error ? `${cmd.error}. ${HELP_TEXT}` : HELP_TEXT;
+  }
+}
+
+// Takes the sender off `list`; other destinations keep their alerts and a watcher left with none is stopped
+function leaveWatchers(list, sender, label) {
+  for (const w of list) {
+    const rest = w.params.destinations.filter(d => !isSender(d, sender));
+    if (rest.length) updateWatcher(w.id, { destinations: rest });
+    else stopWatcher(w.id, `Stopped by a reply from ${label}`);
+  }
+  return `Stopped alerts from ${list.map(w => `#${w.id} (${watcherName(w)})`).join(', ')}.`;
+}
+
+// WATCH <player>: a follow-mode watcher for the owner of the sender's newest watcher, alerting just the sender.
+// It counts against the owner's watch-start limit like POST /api/watch/start.
+async function startWatchFromReply({ playerName, team }, sender, like) {
+  const waitMs = limitWatchStart.consume(like.params.owner);
+  if (waitMs) return `Too many watchers started lately; try again in ${Math.ceil(waitMs / 60000)} min.`;
+  const base = like.targets[0] || {};
+  const teamName = team || base.team || like.params.team || DEFAULT_TEAM;
+  const league = { sportId: toSportId(base.sportId || like.params.sportId), timezone: like.params.timezone };
+  try {
+    await getTeamIdByName(teamName, league);
+  } catch (e) {
+    return `${e.message}. Try WATCH ${playerName} @ <team>.`;
+  }
+  const day = await leagueToday(league);
+  const until = await followUntil(null, day, league);
+  const destinations = senderDestinations(like, sender).slice(0, 1).map(d => ({ ...d, prefs: { ...d.prefs, snoozeUntil: null } }));
+  const { id } = startAdaptiveWatcher({
+    owner: like.params.owner,
+    team: teamName,
+    date: day,
+    timezone: like.params.timezone,
+    sportId: league.sportId,
+    destinations,
+    cooldownSec: 300,
+    stopAfterAlert: true,
+    events: ['entered'],
+    targets: [{ playerName, team: teamName, sportId: league.sportId, gamePk: null, follow: true, until, played: [], nextGame: null }],
+  });
+  return `Watching ${playerName} (${teamName}) through ${until} as #${id}. You'll get a message when the player enters a game.`;
+}
+
+module.exports = {
+  HELP_TEXT,
+  SNOOZE_DEFAULT_MIN,
+  SNOOZE_MAX_MIN,
+  parseCommand,
+  emailAddress,
+  emailAuthenticated,
+  isSender,
+  senderWatchers,
+  runCommand,
+};
@@ -0,0 +1,199 @@
+// lib/leagues.js
+// Leagues (statsapi sportId), seasons, teams, rosters and schedules
+const { statsGet } = require('./statsapi');
+const { isTimeZone, ymd, addDays, normalizeName } = require('./util');
+const { SIMULATION_PK } = require('./replay');
+
+// The service started out on the AFL lookups (sportId 11); that stays the default everywhere.
+const DEFAULT_SPORT_ID = 11;
+const TEAMS_TTL = 6 * 60 * 60 * 1000;
+const SEASON_TTL = 12 * 60 * 60 * 1000;
+const ROSTER_TTL = 10 * 60 * 1000;
+const SCHEDULE_TTL = 60 * 1000;
+// statsapi's official dates follow US Eastern when a league's venues don't say otherwise
+const FALLBACK_TZ = 'America/New_York';
+
+function toSportId(sportId) {
+  return Number(sportId) || DEFAULT_SPORT_ID;
+}
+
+async function fetchSeasonInfo(sportId = DEFAULT_SPORT_ID) {
+  const data = await statsGet('/v1/seasons', { sportId }, SEASON_TTL);
+  const season = data.seasons?.[0];
+  if (!season?.seasonId) throw new Error('No current season');
+  return season;
+}
+
+// Winter leagues straddle New Year, so ask statsapi which season is current rather than using the calendar year
+async function currentSeason(sportId = DEFAULT_SPORT_ID) {
+  try {
+    return Number((await fetchSeasonInfo(sportId)).seasonId);
+  } catch (e) {
+    return new Date().getFullYear();
+  }
+}
+
+// { sportId, season } from query/body values, with season defaulting to the league's current one
+async function resolveLeague({ sportId, season } = {}) {
+  const sid = toSportId(sportId);
+  return { sportId: sid, season: Number(season) || await currentSeason(sid) };
+}
+
+async function fetchSports() {
+  const data = await statsGet('/v1/sports', { activeStatus: 'Y' }, TEAMS_TTL);
+  return (data.sports || []).map(s => ({ id: s.id, name: s.name, abbreviation: s.abbreviation || null }));
+}
+
+async function fetchTeams(league = {}) {
+  const { sportId, season } = await resolveLeague(league);
+  const data = await statsGet('/v1/teams', { sportId, season, activeStatus: 'Y', hydrate: 'venue(timezone)' }, TEAMS_TTL);
+  return data.teams || [];
+}
+
+// The zone most of the league's home venues are in (every AFL park is in Arizona), which is what its
+// "today" and schedule dates mean
+async function leagueTimeZone(league = {}) {
+  try {
+    const counts = new Map();
+    for (const t of await fetchTeams(league)) {
+      const tz = t.venue?.timeZone?.id;
+      if (tz && isTimeZone(tz)) counts.set(tz, (counts.get(tz) || 0) + 1);
+    }
+    return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || FALLBACK_TZ;
+  } catch (e) {
+    return FALLBACK_TZ;
+  }
+}
+
+// An explicit IANA `timezone` (validated), else the league's venue timezone
+async function resolveTimeZone({ timezone, sportId, season } = {}) {
+  if (timezone) {
+    if (!isTimeZone(timezone)) throw new Error(`Unknown timezone "${timezone}"`);
+    return timezone;
+  }
+  return leagueTimeZone({ sportId, season });
+}
+
+// Today's date where the league plays; `league.timezone` overrides the venue timezone
+async function leagueToday(league = {}) {
+  return ymd(new Date(), league.timezone || await leagueTimeZone(league));
+}
+
+async function getTeamIdByName(teamName, league = {}) {
+  const teams = await fetchTeams(league);
+  let hit =
+    teams.find(t => t.name.toLowerCase() === teamName.toLowerCase()) ||
+    teams.find(t => (t.teamName || '').toLowerCase() === teamName.toLowerCase()) ||
+    teams.find(t => t.name.toLowerCase().includes(teamName.toLowerCase()));
+  if (!hit) throw new Error(`Could not resolve team id for "${teamName}". Try entering a gamePk or enable Simulation Mode.`);
+  return hit.id;
+}
+
+async function fetchTeamRoster(teamId, league = {}) {
+  const { season } = await resolveLeague(league);
+  const data = await statsGet(`/v1/teams/${teamId}/roster`, { rosterType: 'active', season }, ROSTER_TTL);
+  return data.roster || [];
+}
+
+async function searchPlayers(query, teamName, league = {}) {
+  const needle = normalizeName(query);
+  if (teamName) {
+    const teamId = await getTeamIdByName(teamName, league);
+    const roster = await fetchTeamRoster(teamId, league);
+    return roster
+      .filter(r => normalizeName(r.person?.fullName).includes(needle))
+      .map(r => ({
+        personId: r.person.id,
+        fullName: r.person.fullName,
+        position: r.position?.abbreviation || null,
+        team: teamName,
+      }));
+  }
+  const data = await statsGet('/v1/people/search', {
+    names: query, sportIds: toSportId(league.sportId), hydrate: 'currentTeam',
+  }, ROSTER_TTL);
+  return (data.people || []).map(p => ({
+    personId: p.id,
+    fullName: p.fullName,
+    position: p.primaryPosition?.abbreviation || null,
+    team: p.currentTeam?.name || null,
+  }));
+}
+
+// Final, or never going to be played today — either way nothing more will happen in it
+function isFinalState(rawGameState) {
+  return /final|game over|completed|cancelled|postponed/i.test(rawGameState || '');
+}
+
+// Every game for a team between two dates (inclusive), doubleheaders included, in start order
+async function getScheduleForRange(teamId, startDate, endDate, league = {}) {
+  const data = await statsGet('/v1/schedule', {
+    sportId: toSportId(league.sportId), teamId, startDate, endDate,
+  }, SCHEDULE_TTL);
+  return (data.dates || [])
+    .flatMap(d => (d.games || []).map(g => ({
+      gamePk: g.gamePk,
+      gameDate: g.gameDate,
+      date: d.date,
+      gameNumber: g.gameNumber || 1,
+      doubleHeader: g.doubleHeader && g.doubleHeader !== 'N',
+      status: g.status?.detailedState || 'Scheduled',
+    })))
+    .sort((a, b) => a.gameDate.localeCompare(b.gameDate) || a.gameNumber - b.gameNumber);
+}
+
+// On a doubleheader day prefer the first game that isn't over yet; all of the day's games are listed
+function gameOnDate(games, date) {
+  const day = games.filter(g => g.date === date);
+  if (!day.length) return null;
+  const game = day.find(g => !isFinalState(g.status)) || day[0];
+  return { gamePk: game.gamePk, status: game.status, date, gameDate: game.gameDate, gameNumber: game.gameNumber, games: day };
+}
+
+async function getScheduleForDate(teamId, date, league = {}) {
+  return gameOnDate(await getScheduleForRange(teamId, date, date, league), date);
+}
+
+// The game on `date`, else the nearest one up to `days` earlier, else up to `days` later — one schedule request
+async function findNearestGame(teamId, date, league = {}, days = 3) {
+  const shift = n => addDays(date, n);
+  const games = await getScheduleForRange(teamId, shift(-days), shift(days), league);
+  const offsets = [0];
+  for (let i = 1; i <= days; i++) offsets.push(-i);
+  for (let i = 1; i <= days; i++) offsets.push(i);
+  for (const n of offsets) {
+    const found = gameOnDate(games, shift(n));
+    if (found) return found;
+  }
+  return null;
+}
+
+async function resolveGamePkIfNeeded(team, date, gamePk, simulate, league = {}) {
+  if (simulate) return SIMULATION_PK;
+  if (gamePk) return gamePk.toString();
+
+  const teamId = await getTeamIdByName(team, league);
+  const found = await findNearestGame(teamId, date || await leagueToday(league), league);
+  if (found?.gamePk) return found.gamePk.toString();
+  throw new Error('No game found for team near the given date');
+}
+
+module.exports = {
+  DEFAULT_SPORT_ID,
+  toSportId,
+  fetchSeasonInfo,
+  resolveLeague,
+  fetchSports,
+  fetchTeams,
+  leagueTimeZone,
+  resolveTimeZone,
+  leagueToday,
+  getTeamIdByName,
+  searchPlayers,
+  isFinalState,
+  getScheduleForRange,
+  gameOnDate,
+  getScheduleForDate,
+  findNearestGame,
+  resolveGamePkIfNeeded,
+};
@@ -0,0 +1,26 @@
+// lib/log.js
+// Logging: one JSON object per line ({ ts, level, msg, ...fields }) for log shippers; LOG_FORMAT=text prints
+// "LEVEL msg key=value" for reading in a terminal. LOG_LEVEL (default info) drops anything quieter.
+const { LOG_FORMAT, LOG_LEVEL } = process.env;
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLogLevel = LOG_LEVELS[LOG_LEVEL] || LOG_LEVELS.info;
+
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < minLogLevel) return;
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  if (LOG_FORMAT === 'text') {
+    const extra = Object.entries(fields).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`).join(' ');
+    stream.write(`${level.toUpperCase()} ${msg}${extra ? ` ${extra}` : ''}\n`);
+  } else {
+    stream.write(`${JSON.stringify({ ts: new Date().toISOString(), level, msg, ...fields })}\n`);
+  }
+}
+
+const log = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields),
+};
+
+module.exports = { log };
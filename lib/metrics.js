@@ -0,0 +1,105 @@
+// lib/metrics.js
+// Metrics: counters and latency histograms accumulate in memory for the life of the process; gauges
+// are read at scrape time and passed to renderMetrics(). Served by routes/health.js.
+const METRIC_DEFS = {
+  player_alert_polls_total: ['counter', 'Game feed polls by result'],
+  player_alert_upstream_requests_total: ['counter', 'statsapi requests by endpoint and HTTP status ("error" when no response)'],
+  player_alert_upstream_request_duration_seconds: ['histogram', 'statsapi request latency by endpoint'],
+  player_alert_alerts_total: ['counter', 'Alerts raised by event type'],
+  player_alert_deliveries_total: ['counter', 'Delivery attempts by channel and result'],
+  player_alert_watcher_errors_total: ['counter', 'Watcher failures by stage (feed, schedule, alerting)'],
+  player_alert_watchers_auto_stopped_total: ['counter', 'Watchers stopped after too many consecutive failures'],
+};
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const metricSeries = new Map(); // metric name -> Map(label string -> number | histogram)
+const upstreamStats = new Map(); // endpoint -> { requests, errors, totalMs }, for /api/health
+const pollTimes = [];
+
+function labelString(labels = {}) {
+  const esc = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return Object.keys(labels).sort().map(k => `${k}="${esc(labels[k])}"`).join(',');
+}
+
+function seriesFor(name) {
+  if (!metricSeries.has(name)) metricSeries.set(name, new Map());
+  return metricSeries.get(name);
+}
+
+function incMetric(name, labels, by = 1) {
+  const series = seriesFor(name);
+  const key = labelString(labels);
+  series.set(key, (series.get(key) || 0) + by);
+}
+
+function observeMetric(name, labels, value) {
+  const series = seriesFor(name);
+  const key = labelString(labels);
+  let h = series.get(key);
+  if (!h) series.set(key, h = { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+  LATENCY_BUCKETS.forEach((le, i) => { if (value <= le) h.buckets[i]++; });
+  h.sum += value;
+  h.count++;
+}
+
+// `endpoint` is a statsapi path with ids folded (see statsapi.js), so each endpoint is one series
+function recordUpstream(endpoint, status, ms) {
+  const failed = status === 'error' || status >= 400;
+  incMetric('player_alert_upstream_requests_total', { endpoint, status });
+  observeMetric('player_alert_upstream_request_duration_seconds', { endpoint }, ms / 1000);
+  const stats = upstreamStats.get(endpoint) || { requests: 0, errors: 0, totalMs: 0 };
+  stats.requests++;
+  stats.totalMs += ms;
+  if (failed) stats.errors++;
+  upstreamStats.set(endpoint, stats);
+}
+
+function recordPoll(ok) {
+  incMetric('player_alert_polls_total', { result: ok ? 'ok' : 'error' });
+  const now = Date.now();
+  pollTimes.push(now);
+  while (pollTimes.length && now - pollTimes[0] > 60000) pollTimes.shift();
+}
+
+function pollsLastMinute() {
+  const now = Date.now();
+  return pollTimes.filter(t => now - t <= 60000).length;
+}
+
+// Per-endpoint request count, error rate and mean latency for /api/health
+function upstreamSummary() {
+  const upstream = {};
+  for (const [endpoint, st] of upstreamStats) {
+    upstream[endpoint] = {
+      requests: st.requests,
+      errors: st.errors,
+      errorRate: Number((st.errors / st.requests).toFixed(3)),
+      avgLatencyMs: Math.round(st.totalMs / st.requests),
+    };
+  }
+  return upstream;
+}
+
+// Prometheus text format; `gauges` is [[name, help, [[labelString, value]]]] read at scrape time
+function renderMetrics(gauges = []) {
+  const lines = [];
+  const header = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  const sample = (name, labels, value) => lines.push(`${name}${labels ? `{${labels}}` : ''} ${value}`);
+  for (const [name, [type, help]] of Object.entries(METRIC_DEFS)) {
+    header(name, type, help);
+    for (const [labels, value] of metricSeries.get(name) || []) {
+      if (type !== 'histogram') { sample(name, labels, value); continue; }
+      const prefix = labels ? `${labels},` : '';
+      LATENCY_BUCKETS.forEach((le, i) => sample(`${name}_bucket`, `${prefix}le="${le}"`, value.buckets[i]));
+      sample(`${name}_bucket`, `${prefix}le="+Inf"`, value.count);
+      sample(`${name}_sum`, labels, value.sum);
+      sample(`${name}_count`, labels, value.count);
+    }
+  }
+  for (const [name, help, samples] of gauges) {
+    header(name, 'gauge', help);
+    for (const [labels, value] of samples) sample(name, labels, value);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { labelString, incMetric, observeMetric, recordUpstream, recordPoll, pollsLastMinute, upstreamSummary, renderMetrics };
@@ -0,0 +1,228 @@
+// lib/notifiers.js
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const twilio = require('twilio');
+const sgMail = require('@sendgrid/mail');
+const webPush = require('web-push');
+const { log } = require('./log');
+const { DATA_DIR, writeJsonAtomic } = require('./store');
+const { sleep } = require('./util');
+const { normalizePrefs } = require('./prefs');
+const { fitSms } = require('./templates');
+
+const {
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_FROM,
+  SENDGRID_API_KEY,
+  SENDGRID_FROM,
+  VAPID_PUBLIC_KEY,
+  VAPID_PRIVATE_KEY,
+  VAPID_SUBJECT,
+  VAPID_KEYS_STORE,
+} = process.env;
+
+let twilioClient = null;
+if (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN) {
+  twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+}
+if (SENDGRID_API_KEY) sgMail.setApiKey(SENDGRID_API_KEY);
+
+// Providers behind each channel; tests (and createApp) swap in fakes with setTransports()
+const defaultTransports = {
+  // { to, subject, html, text? }
+  mail: async msg => {
+    if (!SENDGRID_API_KEY || !SENDGRID_FROM) throw Object.assign(new Error('SendGrid is not configured'), { permanent: true });
+    return sgMail.send({ ...msg, from: SENDGRID_FROM });
+  },
+  sms: async (to, body) => {
+    if (!twilioClient || !TWILIO_FROM) throw Object.assign(new Error('Twilio is not configured'), { permanent: true });
+    return twilioClient.messages.create({ to, from: TWILIO_FROM, body });
+  },
+  // Webhook, Slack and Discord posts
+  http: axios,
+  push: (subscription, body, options) => webPush.sendNotification(subscription, body, options),
+};
+let transports = { ...defaultTransports };
+
+// Replaces some transports, e.g. setTransports({ mail: fakeMail }); setTransports() restores the defaults
+function setTransports(overrides) {
+  transports = overrides ? { ...transports, ...overrides } : { ...defaultTransports };
+}
+
+async function sendEmail(to, subject, html, text) {
+  const msg = { to, subject, html };
+  if (text) msg.text = text;
+  return transports.mail(msg);
+}
+
+async function sendSms(to, body) {
+  return transports.sms(to, body);
+}
+
+// Accepts "+15551234567", "+1555..., +1666..." or an array of numbers
+function toSmsList(smsTo) {
+  const list = Array.isArray(smsTo) ? smsTo : String(smsTo || '').split(',');
+  return list.map(n => String(n).trim()).filter(Boolean);
+}
+
+// Notifiers. A watcher alerts a list of destinations, e.g. { type: 'email', to }, { type: 'sms', to },
+// { type: 'webhook', url, secret }, { type: 'slack', url }, { type: 'discord', url },
+// { type: 'push', subscription } (a browser's PushSubscription JSON).
+// deliver() retries transient failures with exponential backoff and reports every attempt.
+const NOTIFY_ATTEMPTS = 4;
+const NOTIFY_BACKOFF_MS = 1000;
+const NOTIFY_TIMEOUT_MS = 10000;
+
+const needsUrl = type => d => (/^https?:\/\//.test(d.url || '') ? null : `${type} destination needs an http(s) "url"`);
+
+function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Web Push needs nothing but a VAPID key pair: VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY, or one generated on first
+// use and kept in VAPID_KEYS_STORE. Changing the pair invalidates every browser subscription.
+const vapidKeysPath = VAPID_KEYS_STORE || path.join(DATA_DIR, 'vapid.json');
+let vapidKeys = null;
+
+function getVapidKeys() {
+  if (vapidKeys) return vapidKeys;
+  if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
+    vapidKeys = { publicKey: VAPID_PUBLIC_KEY, privateKey: VAPID_PRIVATE_KEY };
+  } else {
+    try {
+      vapidKeys = JSON.parse(fs.readFileSync(vapidKeysPath, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') log.error('VAPID keys read error', { error: e.message });
+      vapidKeys = webPush.generateVAPIDKeys();
+      writeJsonAtomic(vapidKeysPath, vapidKeys);
+      log.info('Generated VAPID keys', { store: vapidKeysPath });
+    }
+  }
+  webPush.setVapidDetails(VAPID_SUBJECT || `mailto:${SENDGRID_FROM || 'player-alert@localhost'}`, vapidKeys.publicKey, vapidKeys.privateKey);
+  return vapidKeys;
+}
+
+function validatePushSubscription(d) {
+  const sub = d.subscription;
+  if (!/^https:\/\//.test(sub?.endpoint || '')) return 'push destination needs a browser "subscription" with an https endpoint';
+  if (!sub.keys?.p256dh || !sub.keys?.auth) return 'push subscription is missing its p256dh/auth keys';
+  return null;
+}
+
+// Shown by the client's service worker; a 404/410 from the push service means the browser unsubscribed
+async function sendPush(d, msg) {
+  getVapidKeys();
+  const body = JSON.stringify({
+    title: msg.subject,
+    body: msg.sms || msg.text,
+    url: msg.link || null,
+    tag: msg.payload?.watchId ? `watch-${msg.payload.watchId}-${msg.payload.event || msg.payload.type}` : undefined,
+  });
+  try {
+    await transports.push(d.subscription, body, { TTL: 60 * 60, timeout: NOTIFY_TIMEOUT_MS });
+  } catch (e) {
+    if (e.statusCode) e.response = { status: e.statusCode };
+    if (e.statusCode === 404 || e.statusCode === 410) e.message = 'Browser subscription has expired';
+    throw e;
+  }
+}
+
+const notifiers = {
+  email: {
+    validate: d => (d.to ? null : 'email destination needs "to"'),
+    send: (d, msg) => sendEmail(d.to, msg.subject, msg.html, msg.text),
+  },
+  sms: {
+    validate: d => (d.to ? null : 'sms destination needs "to"'),
+    send: (d, msg) => sendSms(d.to, fitSms(msg.sms)),
+  },
+  // Receivers verify X-PlayerAlert-Signature = sha256=HMAC(secret, "<timestamp>.<raw body>")
+  webhook: {
+    validate: needsUrl('webhook'),
+    send: (d, msg) => {
+      const body = JSON.stringify(msg.payload);
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = { 'Content-Type': 'application/json', 'X-PlayerAlert-Timestamp': timestamp };
+      if (d.secret) headers['X-PlayerAlert-Signature'] = `sha256=${signWebhook(d.secret, timestamp, body)}`;
+      return transports.http.post(d.url, body, { headers, timeout: NOTIFY_TIMEOUT_MS });
+    },
+  },
+  slack: {
+    validate: needsUrl('slack'),
+    send: (d, msg) => transports.http.post(d.url, { text: `*${msg.subject}*\n${msg.text}` }, { timeout: NOTIFY_TIMEOUT_MS }),
+  },
+  discord: {
+    validate: needsUrl('discord'),
+    send: (d, msg) => transports.http.post(d.url, { content: `**${msg.subject}**\n${msg.text}` }, { timeout: NOTIFY_TIMEOUT_MS }),
+  },
+  push: {
+    validate: validatePushSubscription,
+    send: sendPush,
+  },
+};
+
+function destinationLabel(d) {
+  if (d.to) return `${d.type}:${d.to}`;
+  try { return `${d.type}:${new URL(d.url || d.subscription?.endpoint).host}`; } catch (e) { return d.type; }
+}
+
+// Merges explicit destinations and recipients with the older emailTo/smsTo shorthands, validating each one.
+// A recipient is one person on several channels: { name, channels: [destination], ...prefs }, and every
+// channel carries that person's prefs (see normalizePrefs).
+function normalizeDestinations({ destinations, recipients, emailTo, smsTo }) {
+  const list = Array.isArray(destinations) ? destinations.map(d => ({ ...d })) : [];
+  if (emailTo) list.push({ type: 'email', to: emailTo });
+  for (const n of toSmsList(smsTo)) list.push({ type: 'sms', to: n });
+  for (const r of Array.isArray(recipients) ? recipients : []) {
+    const { name, channels, ...prefs } = r || {};
+    if (!Array.isArray(channels) || !channels.length) throw new Error(`Recipient "${name || '?'}" needs at least one channel`);
+    for (const c of channels) list.push({ ...c, recipient: name || null, prefs });
+  }
+  for (const d of list) {
+    const notifier = notifiers[d?.type];
+    if (!notifier) throw new Error(`Unknown destination type "${d?.type}" (expected ${Object.keys(notifiers).join(', ')})`);
+    const err = notifier.validate(d);
+    if (err) throw new Error(err);
+    d.prefs = normalizePrefs(d.prefs, d.recipient || destinationLabel(d));
+  }
+  return list;
+}
+
+// Provider config errors and 4xx responses won't fix themselves; 429, 5xx and network errors might
+function isRetryable(e) {
+  if (e?.permanent) return false;
+  const status = e?.response?.status || e?.status || (typeof e?.code === 'number' ? e.code : null);
+  return !status || status === 429 || status >= 500;
+}
+
+async function deliver(dest, msg, onAttempt = () => {}, { attempts = NOTIFY_ATTEMPTS } = {}) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      await notifiers[dest.type].send(dest, msg);
+      onAttempt({ attempt, ok: true });
+      return true;
+    } catch (e) {
+      const error = e?.response?.status ? `HTTP ${e.response.status}: ${e.message}` : e.message;
+      const retry = attempt < attempts && isRetryable(e);
+      onAttempt({ attempt, ok: false, error, final: !retry });
+      if (!retry) return false;
+      await sleep(NOTIFY_BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  setTransports,
+  sendEmail,
+  sendSms,
+  toSmsList,
+  getVapidKeys,
+  notifiers,
+  destinationLabel,
+  normalizeDestinations,
+  deliver,
+};
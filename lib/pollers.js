@@ -0,0 +1,95 @@
+// lib/pollers.js
+const { log } = require('./log');
+const { recordPoll } = require('./metrics');
+const { SIMULATED_STATUS } = require('./detection');
+const { getFeed, forgetLiveFeed } = require('./feeds');
+const { replaySpeed, dropReplay } = require('./replay');
+
+const POLL_FAST = 5000;
+const POLL_SLOW = 30000;
+const POLL_FINAL = 60000;
+const POLL_MAX_BACKOFF = 5 * 60 * 1000;
+
+function pollIntervalFor(rawGameState) {
+  const st = (rawGameState || '').toLowerCase();
+  if (st.includes('progress')) return POLL_FAST;
+  if (st.includes('final')) return POLL_FINAL;
+  return POLL_SLOW;
+}
+
+// One poller per gamePk. Watchers (and recorders) subscribe to the games they need,
+// so each live feed is fetched once per tick no matter how many subscribers want it.
+// A subscriber is { onFeed(gamePk, data), onError?(error) }; onError hears about failed fetches.
+const gamePollers = new Map();
+
+function subscribeGame(gamePk, subscriberId, subscriber) {
+  let poller = gamePollers.get(gamePk);
+  if (!poller) {
+    poller = { gamePk, subscribers: new Map(), timer: null, inFlight: false, lastPollAt: null, nextPollAt: null, lastError: null };
+    gamePollers.set(gamePk, poller);
+  }
+  poller.subscribers.set(subscriberId, subscriber);
+  // Give the new subscriber a fresh read now rather than at the next scheduled tick
+  if (!poller.inFlight) {
+    clearTimeout(poller.timer);
+    poller.timer = setTimeout(() => pollGame(poller), 0);
+  }
+}
+
+function unsubscribeGame(gamePk, subscriberId) {
+  const poller = gamePollers.get(gamePk);
+  if (!poller) return;
+  poller.subscribers.delete(subscriberId);
+  if (!poller.subscribers.size) {
+    clearTimeout(poller.timer);
+    gamePollers.delete(gamePk);
+    forgetLiveFeed(gamePk);
+    dropReplay(gamePk);
+  }
+}
+
+async function pollGame(poller) {
+  let interval = POLL_SLOW;
+  poller.inFlight = true;
+  poller.lastPollAt = new Date().toISOString();
+  try {
+    const data = await getFeed(poller.gamePk, { keep: true });
+    recordPoll(true);
+    poller.lastError = null;
+    poller.errors = 0;
+    interval = pollIntervalFor(data ? data?.gameData?.status?.detailedState : SIMULATED_STATUS.rawGameState);
+    // Accelerated replays tick proportionally faster
+    const speed = replaySpeed(poller.gamePk);
+    if (speed) interval = Math.max(250, interval / speed);
+
+    for (const [id, sub] of [...poller.subscribers]) {
+      try {
+        await sub.onFeed(poller.gamePk, data);
+      } catch (e) {
+        log.error('Feed subscriber error', { subscriber: id, gamePk: poller.gamePk, error: e.message });
+      }
+    }
+  } catch (e) {
+    recordPoll(false);
+    poller.lastError = { at: new Date().toISOString(), message: e.message };
+    // Back off while the feed keeps failing instead of hammering it every POLL_SLOW
+    poller.errors = (poller.errors || 0) + 1;
+    interval = Math.min(POLL_SLOW * 2 ** (poller.errors - 1), POLL_MAX_BACKOFF);
+    log.warn('Game feed poll failed', { gamePk: poller.gamePk, error: e.message, consecutiveErrors: poller.errors, retryInMs: interval });
+    for (const sub of [...poller.subscribers.values()]) sub.onError?.(e);
+  }
+  poller.inFlight = false;
+  if (gamePollers.get(poller.gamePk) !== poller || !poller.subscribers.size) return;
+  clearTimeout(poller.timer);
+  poller.nextPollAt = new Date(Date.now() + interval).toISOString();
+  poller.timer = setTimeout(() => pollGame(poller), interval);
+}
+
+// What the dashboard shows for a game a watcher is attached to
+function gamePollState(gamePk) {
+  const poller = gamePollers.get(gamePk);
+  if (!poller) return null;
+  return { lastPollAt: poller.lastPollAt, nextPollAt: poller.nextPollAt, lastError: poller.lastError };
+}
+
+module.exports = { POLL_SLOW, gamePollers, subscribeGame, unsubscribeGame, gamePollState };
@@ -0,0 +1,67 @@
+// lib/prefs.js
+const { ALERT_EVENT_TYPES } = require('./detection');
+const { isTimeZone } = require('./util');
+
+// Recipient preferences. Each destination carries prefs { delivery, quietHours, events, timezone }:
+//  - delivery 'immediate' sends every alert as it happens; 'digest' sends one summary when the game is final
+//  - quietHours { start, end, timezone } ('22:00'..'07:00' wraps midnight) holds anything due in that
+//    window and sends it as one message when the window closes; without its own timezone it uses the
+//    recipient's (below), else the server's
+//  - events, when set, narrows which of the watcher's events this recipient hears about
+//  - timezone is where the recipient reads alert times; unset, the quiet hours' zone, else the watcher's
+// Replies (see inbound.js) add snoozeUntil, an ISO time before which alerts are dropped, and optedOut for a
+// number that texted STOP to Twilio and can't be texted until it sends START.
+const DELIVERY_MODES = ['immediate', 'digest'];
+const SERVER_TZ = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+function hhmmToMinutes(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function normalizePrefs(prefs, label) {
+  const { delivery = 'immediate', quietHours = null, events = null, timezone = null } = prefs || {};
+  if (!DELIVERY_MODES.includes(delivery)) throw new Error(`${label}: delivery must be one of ${DELIVERY_MODES.join(', ')}`);
+  let quiet = null;
+  if (quietHours) {
+    const { start, end } = quietHours;
+    const quietTz = quietHours.timezone || timezone || SERVER_TZ;
+    if (hhmmToMinutes(start) === null || hhmmToMinutes(end) === null) throw new Error(`${label}: quietHours start and end must be HH:MM`);
+    if (!isTimeZone(quietTz)) throw new Error(`${label}: unknown timezone "${quietTz}"`);
+    quiet = { start, end, timezone: quietTz };
+  }
+  const only = events ? [].concat(events) : null;
+  if (only && (!only.length || only.some(e => !ALERT_EVENT_TYPES.includes(e)))) {
+    throw new Error(`${label}: events must be a non-empty list of: ${ALERT_EVENT_TYPES.join(', ')}`);
+  }
+  if (timezone && !isTimeZone(timezone)) throw new Error(`${label}: unknown timezone "${timezone}"`);
+  return { delivery, quietHours: quiet, events: only, timezone: timezone || null };
+}
+
+// The zone a destination reads alert times in, `fallback` (the watcher's) when the recipient hasn't said
+const recipientTimeZone = (prefs, fallback = SERVER_TZ) => prefs?.timezone || prefs?.quietHours?.timezone || fallback;
+
+// How long the recipient's quiet hours still run at `now` (0 when they can be reached)
+function quietMsRemaining(quietHours, now = new Date()) {
+  if (!quietHours) return 0;
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: quietHours.timezone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23',
+  }).formatToParts(now);
+  const part = type => Number(parts.find(p => p.type === type).value);
+  const minute = part('hour') * 60 + part('minute');
+  const start = hhmmToMinutes(quietHours.start);
+  const end = hhmmToMinutes(quietHours.end);
+  const quiet = start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+  if (!quiet) return 0;
+  return ((end - minute + 1440) % 1440) * 60000 - now.getSeconds() * 1000;
+}
+
+// Why nothing goes to a destination right now: 'opted-out' (texted STOP) or 'snoozed' (texted SNOOZE), else null
+function withheldStatus(prefs, now = Date.now()) {
+  if (prefs?.optedOut) return 'opted-out';
+  if (Date.parse(prefs?.snoozeUntil) > now) return 'snoozed';
+  return null;
+}
+
+module.exports = { DELIVERY_MODES, SERVER_TZ, isTimeZone, normalizePrefs, recipientTimeZone, quietMsRemaining, withheldStatus };
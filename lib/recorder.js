@@ -0,0 +1,44 @@
+// lib/recorder.js
+// Recording taps the shared poller for a gamePk and writes each new live-feed snapshot as a replay frame,
+// until the game is final
+const fs = require('fs');
+const path = require('path');
+const { isFinalState } = require('./leagues');
+const { subscribeGame, unsubscribeGame } = require('./pollers');
+const { fixturesDir, fixtureName, listFrames } = require('./replay');
+
+const recordings = new Map();
+
+function startRecording(gamePk, name) {
+  const key = fixtureName(name || gamePk);
+  if (recordings.has(key)) throw new Error(`Already recording "${key}"`);
+  const dir = path.join(fixturesDir, key);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const rec = { name: key, gamePk: gamePk.toString(), dir, seq: listFrames(key).length, lastStamp: null };
+  rec.onFeed = async (_pk, data) => {
+    // The feed's metaData.timeStamp only moves when something changed upstream
+    const stamp = data?.metaData?.timeStamp;
+    if (!data || (stamp && stamp === rec.lastStamp)) return;
+    rec.lastStamp = stamp;
+    rec.seq++;
+    fs.writeFileSync(path.join(dir, `${String(rec.seq).padStart(5, '0')}-${Date.now()}.json`), JSON.stringify(data));
+    // The final frame is the last one worth keeping
+    if (isFinalState(data.gameData?.status?.detailedState)) stopRecording(key);
+  };
+  recordings.set(key, rec);
+  subscribeGame(rec.gamePk, `record:${key}`, { onFeed: rec.onFeed });
+  return rec;
+}
+
+function stopRecording(name) {
+  const rec = recordings.get(fixtureName(name));
+  if (!rec) return false;
+  unsubscribeGame(rec.gamePk, `record:${rec.name}`);
+  recordings.delete(rec.name);
+  return true;
+}
+
+const isRecording = name => recordings.has(name);
+
+module.exports = { startRecording, stopRecording, isRecording };
@@ -0,0 +1,94 @@
+// lib/replay.js
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+
+// Recorded games (see recorder.js) are live-feed snapshots in
+// <fixtures>/<name>/<seq>-<capturedAt>.json. Replaying serves those snapshots back as the feed
+// for a synthetic "replay:<name>:<n>" gamePk, on a clock that can run faster than real time.
+const fixturesDir = process.env.FIXTURES_DIR || path.join(DATA_DIR, 'fixtures');
+const REPLAY_PREFIX = 'replay:';
+// Simulation mode's stand-in gamePk: no feed, every read is SIMULATED_STATUS
+const SIMULATION_PK = '(simulation)';
+const replays = new Map();
+let nextReplayId = 1;
+
+// A recording's directory name under fixturesDir; "." and ".." survive the character filter, so names made
+// only of dots are refused rather than allowed to point outside it
+function fixtureName(name) {
+  const safe = String(name).replace(/[^\w.-]/g, '_');
+  if (/^\.*$/.test(safe) || path.dirname(path.resolve(fixturesDir, safe)) !== path.resolve(fixturesDir)) {
+    throw new Error(`Invalid recording name "${name}"`);
+  }
+  return safe;
+}
+
+function listFrames(name) {
+  const dir = path.join(fixturesDir, fixtureName(name));
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => /^\d+-\d+\.json$/.test(f))
+    .sort()
+    .map(f => ({ file: path.join(dir, f), capturedAt: Number(f.slice(f.indexOf('-') + 1, -5)) }));
+}
+
+function readFrame(frame) {
+  return JSON.parse(fs.readFileSync(frame.file, 'utf8'));
+}
+
+function startReplay(name, speed = 1) {
+  const frames = listFrames(name);
+  if (!frames.length) throw new Error(`No recorded frames for "${name}"`);
+  const key = `${REPLAY_PREFIX}${fixtureName(name)}:${nextReplayId++}`;
+  replays.set(key, { name, frames, startedAt: Date.now(), speed: Math.max(Number(speed) || 1, 0.1) });
+  return key;
+}
+
+// The last frame whose recorded offset the replay clock has reached
+function replayFeed(key) {
+  const r = replays.get(key);
+  if (!r) throw new Error(`Replay ${key} is not loaded`);
+  const elapsed = (Date.now() - r.startedAt) * r.speed;
+  const t0 = r.frames[0].capturedAt;
+  let i = 0;
+  while (i + 1 < r.frames.length && r.frames[i + 1].capturedAt - t0 <= elapsed) i++;
+  return readFrame(r.frames[i]);
+}
+
+// Poll-interval divisor for a replay gamePk, or null for a real game
+function replaySpeed(key) {
+  return replays.get(key)?.speed || null;
+}
+
+function dropReplay(key) {
+  replays.delete(key);
+}
+
+// Every recording on disk with its frame count and time span
+function listRecordings() {
+  let names = [];
+  try { names = fs.readdirSync(fixturesDir); } catch (e) { /* nothing recorded yet */ }
+  return names
+    .map(name => ({ name, frames: listFrames(name) }))
+    .filter(r => r.frames.length)
+    .map(({ name, frames }) => ({
+      name,
+      frames: frames.length,
+      firstAt: new Date(frames[0].capturedAt).toISOString(),
+      lastAt: new Date(frames[frames.length - 1].capturedAt).toISOString(),
+    }));
+}
+
+module.exports = {
+  SIMULATION_PK,
+  REPLAY_PREFIX,
+  fixturesDir,
+  fixtureName,
+  listFrames,
+  readFrame,
+  startReplay,
+  replayFeed,
+  replaySpeed,
+  dropReplay,
+  listRecordings,
+};
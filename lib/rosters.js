@@ -0,0 +1,92 @@
+// lib/rosters.js
+// Team rosters and the transactions feed, for roster watchers: snapshots, diffs between two snapshots
+// and transaction events. Apart from the two fetches these are pure functions over statsapi payloads.
+const { statsGet } = require('./statsapi');
+const { normalizeName } = require('./util');
+
+// fullRoster includes the injured list, so a move to the IL shows up as a status change rather than a removal
+const ROSTER_TYPES = ['fullRoster', 'active', '40Man'];
+const DEFAULT_ROSTER_TYPE = 'fullRoster';
+// Transactions are read this far back on every check, so a move statsapi posts late is still picked up
+const TRANSACTION_LOOKBACK_DAYS = 7;
+
+// Uncached: every check should see the roster as it is now
+async function fetchRoster(teamId, { rosterType = DEFAULT_ROSTER_TYPE, season } = {}) {
+  const data = await statsGet(`/v1/teams/${teamId}/roster`, { rosterType, season });
+  return data.roster || [];
+}
+
+async function fetchTransactions(teamId, startDate, endDate) {
+  const data = await statsGet('/v1/transactions', { teamId, startDate, endDate });
+  return data.transactions || [];
+}
+
+// { [personId]: { fullName, position, status } }: what a roster watcher keeps between checks
+function rosterSnapshot(roster) {
+  const snap = {};
+  for (const r of roster || []) {
+    if (!r?.person?.id) continue;
+    snap[r.person.id] = {
+      fullName: r.person.fullName || `#${r.person.id}`,
+      position: r.position?.abbreviation || null,
+      status: r.status?.description || null,
+    };
+  }
+  return snap;
+}
+
+// Who joined, left or changed status between two snapshots of one team's roster
+function diffRosters(prev, next, team = null) {
+  const event = (type, id, p, extra = {}) => ({
+    type, personId: Number(id), playerName: p.fullName, team, position: p.position, status: p.status, ...extra,
+  });
+  const events = [];
+  for (const [id, p] of Object.entries(next)) {
+    const was = prev[id];
+    if (!was) events.push(event('rosterAdded', id, p));
+    else if (was.status !== p.status) events.push(event('rosterStatus', id, p, { detail: `${was.status || 'Unknown'} → ${p.status || 'Unknown'}` }));
+  }
+  for (const [id, p] of Object.entries(prev)) {
+    if (!next[id]) events.push(event('rosterRemoved', id, p, { status: null }));
+  }
+  return events;
+}
+
+// Transactions whose id isn't in `seen`, oldest first, as 'transaction' events
+function transactionEvents(transactions, seen = [], team = null) {
+  const known = new Set(seen.map(String));
+  return (transactions || [])
+    .filter(tx => tx?.id && tx.person?.id && !known.has(String(tx.id)))
+    .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')))
+    .map(tx => ({
+      type: 'transaction',
+      key: String(tx.id),
+      personId: tx.person.id,
+      playerName: tx.person.fullName || `#${tx.person.id}`,
+      team,
+      typeDesc: tx.typeDesc || null,
+      detail: tx.description || null,
+      date: tx.date || null,
+      fromTeam: tx.fromTeam?.name || null,
+      toTeam: tx.toTeam?.name || null,
+    }));
+}
+
+// Whether a roster event concerns one of `players` ({ playerName, personId }); no players means everyone
+function rosterEventWanted(ev, players) {
+  if (!players?.length) return true;
+  return players.some(p => (p.personId && Number(p.personId) === Number(ev.personId)) ||
+    (p.playerName && normalizeName(p.playerName) === normalizeName(ev.playerName)));
+}
+
+module.exports = {
+  ROSTER_TYPES,
+  DEFAULT_ROSTER_TYPE,
+  TRANSACTION_LOOKBACK_DAYS,
+  fetchRoster,
+  fetchTransactions,
+  rosterSnapshot,
+  diffRosters,
+  transactionEvents,
+  rosterEventWanted,
+};
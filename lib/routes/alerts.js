@@ -0,0 +1,27 @@
+// lib/routes/alerts.js
+const express = require('express');
+const { isTimeZone, ymd } = require('../util');
+const { resolveTimeZone } = require('../leagues');
+const { queryAlerts, alertsToCsv } = require('../history');
+
+const router = express.Router();
+
+// from/to/date are calendar days in `timezone` (default: the league's venue timezone)
+router.get('/api/alerts', async (req, res) => {
+  try {
+    if (req.query.timezone && !isTimeZone(req.query.timezone)) return res.status(400).json({ error: `Unknown timezone "${req.query.timezone}"` });
+    if (req.query.limit !== undefined && !/^[1-9]\d*$/.test(req.query.limit)) return res.status(400).json({ error: 'limit must be a positive whole number' });
+    const timezone = await resolveTimeZone(req.query);
+    const alerts = queryAlerts(req.user.id, { ...req.query, timezone });
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="alerts-${ymd(new Date(), timezone)}.csv"`);
+      return res.send(alertsToCsv(alerts));
+    }
+    res.json({ alerts, timezone });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
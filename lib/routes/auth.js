@@ -0,0 +1,85 @@
+// lib/routes/auth.js
+// `open` is mounted before authenticate (sign-up and login); `router` needs a signed-in user
+const express = require('express');
+const {
+  hasUsers, createUser, saveUsersStore, hashPassword, checkLogin, allowLoginAttempt, publicUser, findUserByName, issueToken,
+} = require('../auth');
+const { adoptUnownedWatchers } = require('../watchers');
+
+const open = express.Router();
+const router = express.Router();
+
+open.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    // The first account can always be created; after that only when sign-up is switched on
+    const signupOpen = () => !hasUsers() || process.env.ALLOW_SIGNUP === '1';
+    if (!signupOpen()) return res.status(403).json({ error: 'Sign-up is disabled' });
+    if (!/^[\w.@-]{3,40}$/.test(username || '')) return res.status(400).json({ error: 'username must be 3-40 letters, digits or ._@-' });
+    if (!password || password.length < 8) return res.status(400).json({ error: 'password must be at least 8 characters' });
+    if (!allowLoginAttempt(req, res)) return;
+    const passwordHash = await hashPassword(password);
+
+    // Checked again after hashing: another sign-up may have landed meanwhile
+    const first = !hasUsers();
+    if (!signupOpen()) return res.status(403).json({ error: 'Sign-up is disabled' });
+    if (findUserByName(username)) return res.status(409).json({ error: 'Username already taken' });
+    const user = createUser(username, passwordHash);
+    if (first) adoptUnownedWatchers(user.id);
+    const { token } = issueToken(user, 'session');
+    res.status(201).json({ token, user: publicUser(user) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+open.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!allowLoginAttempt(req, res, username)) return;
+    const user = await checkLogin(username, password);
+    if (!user) return res.status(401).json({ error: 'Invalid username or password' });
+    // Drop expired sessions while we're here
+    user.tokens = user.tokens.filter(t => !t.expiresAt || Date.parse(t.expiresAt) > Date.now());
+    const { token } = issueToken(user, 'session');
+    res.json({ token, user: publicUser(user) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/api/auth/logout', (req, res) => {
+  req.user.tokens = req.user.tokens.filter(t => t.id !== req.token.id);
+  saveUsersStore();
+  res.json({ ok: true });
+});
+
+router.get('/api/auth/me', (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+router.get('/api/auth/tokens', (req, res) => {
+  const tokens = req.user.tokens
+    .filter(t => t.kind === 'api')
+    .map(({ hash, ...t }) => t);
+  res.json({ tokens });
+});
+
+router.post('/api/auth/tokens', (req, res) => {
+  const { name } = req.body || {};
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  const { token, entry } = issueToken(req.user, 'api', String(name).slice(0, 60));
+  const { hash, ...meta } = entry;
+  // The plain token is only ever shown here
+  res.status(201).json({ token, ...meta });
+});
+
+router.delete('/api/auth/tokens/:tokenId', (req, res) => {
+  const before = req.user.tokens.length;
+  req.user.tokens = req.user.tokens.filter(t => !(t.kind === 'api' && t.id === req.params.tokenId));
+  if (req.user.tokens.length === before) return res.status(404).json({ error: 'Token not found' });
+  saveUsersStore();
+  res.json({ ok: true });
+});
+
+module.exports = { open, router };
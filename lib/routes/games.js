@@ -0,0 +1,178 @@
+// lib/routes/games.js
+// Lookups straight from statsapi: players, leagues and teams, games and one player's status in a game
+const express = require('express');
+const { isTimeZone, ymd } = require('../util');
+const {
+  DEFAULT_SPORT_ID, resolveLeague, fetchSports, fetchTeams, leagueTimeZone, resolveTimeZone, getTeamIdByName, searchPlayers, findNearestGame,
+} = require('../leagues');
+const { playerAppearedFromBoxscore, playerAppearedFromPlays, findPlayerInBoxscore, liveGameSummary } = require('../detection');
+const { fetchLiveFeed, keptLiveFeed } = require('../feeds');
+const { POLL_SLOW } = require('../pollers');
+const { listFrames, readFrame } = require('../replay');
+
+const router = express.Router();
+
+// ---------- API: player search ----------
+router.get('/api/players/search', async (req, res) => {
+  try {
+    const { q, team, sportId, season } = req.query;
+    if (!q || q.trim().length < 2) return res.status(400).json({ error: 'q must be at least 2 characters' });
+    const players = await searchPlayers(q.trim(), team, { sportId, season });
+    res.json({ players });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- API: leagues / teams ----------
+router.get('/api/sports', async (req, res) => {
+  try {
+    res.json({ sports: await fetchSports(), defaultSportId: DEFAULT_SPORT_ID });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.get('/api/teams', async (req, res) => {
+  try {
+    const league = await resolveLeague(req.query);
+    const teams = (await fetchTeams(league)).map(t => ({
+      id: t.id,
+      name: t.name,
+      teamName: t.teamName || null,
+      abbreviation: t.abbreviation || null,
+      league: t.league?.name || null,
+      timezone: t.venue?.timeZone?.id || null,
+    }));
+    // The league's own zone and today's date there, for seeding date pickers
+    const timezone = await leagueTimeZone(league);
+    res.json({ ...league, timezone, today: ymd(new Date(), timezone), teams });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- API: gamePk ----------
+// /api/afl/gamePk is the original AFL-only route; it now takes sportId/season like /api/gamePk.
+// Without a date it looks from today in `timezone` (default: the league's venue timezone).
+async function findGamePk(req, res) {
+  try {
+    if (req.query.timezone && !isTimeZone(req.query.timezone)) return res.status(400).json({ error: `Unknown timezone "${req.query.timezone}"` });
+    const teamName = req.query.team || 'Glendale Desert Dogs';
+    const league = await resolveLeague(req.query);
+    const timezone = await resolveTimeZone(req.query);
+    const baseDate = req.query.date || ymd(new Date(), timezone);
+    const teamId = await getTeamIdByName(teamName, league);
+
+    const found = await findNearestGame(teamId, baseDate, league);
+    if (found) return res.json({ ...found, timezone });
+    return res.json({ gamePk: null, status: 'No game found in +/-3 days', date: baseDate, timezone });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
+router.get('/api/gamePk', findGamePk);
+router.get('/api/afl/gamePk', findGamePk);
+
+// ---------- API: playerStatus ----------
+router.get('/api/playerStatus', async (req, res) => {
+  try {
+    const { gamePk, playerName, personId, team, simulate, replay, frame } = req.query;
+
+    if (simulate === '1') {
+      return res.json({
+        player: playerName || 'Sample Player',
+        inGame: true,
+        side: 'home',
+        battingOrder: '501',
+        position: '2B',
+        rawGameState: 'In Progress (Simulated)',
+        simulated: true,
+      });
+    }
+
+    if ((!gamePk && !replay) || (!playerName && !personId)) {
+      return res.status(400).json({ error: 'gamePk (or replay) and playerName or personId are required (or use simulate=1)' });
+    }
+
+    // replay=<name>&frame=<n> reads a recorded snapshot instead of the network (default: last frame)
+    let data;
+    if (replay) {
+      const frames = listFrames(replay);
+      if (!frames.length) return res.status(404).json({ error: `No recorded frames for "${replay}"` });
+      const i = frame === undefined ? frames.length - 1 : Math.min(Math.max(Number(frame) || 0, 0), frames.length - 1);
+      data = readFrame(frames[i]);
+    } else {
+      data = await fetchLiveFeed(gamePk);
+    }
+    const state = data?.gameData?.status?.detailedState || 'Unknown';
+
+    const homeTeamName = data?.gameData?.teams?.home?.name || '';
+    const awayTeamName = data?.gameData?.teams?.away?.name || '';
+    if (team) {
+      const t = team.toLowerCase();
+      const matchesTeam =
+        homeTeamName.toLowerCase().includes(t) || awayTeamName.toLowerCase().includes(t);
+      if (!matchesTeam) {
+        return res.status(409).json({
+          error: `Team mismatch: "${team}" not found in this game.`,
+          gameTeams: { home: homeTeamName, away: awayTeamName },
+          code: 'TEAM_MISMATCH'
+        });
+      }
+    }
+
+    const home = data?.liveData?.boxscore?.teams?.home;
+    const away = data?.liveData?.boxscore?.teams?.away;
+    if (!home || !away) {
+      return res.json({ player: playerName, personId: personId ? Number(personId) : null, inGame: false, rawGameState: state, reason: 'Boxscore not available yet' });
+    }
+
+    const { side: whichSide, match } = findPlayerInBoxscore({ home, away }, { personId, playerName });
+    if (!match) {
+      return res.status(404).json({
+        error: `Player "${playerName || personId}" not listed on either roster for gamePk ${gamePk || replay}.`,
+        code: 'PLAYER_NOT_IN_GAME',
+        rawGameState: state,
+        gameTeams: { home: homeTeamName, away: awayTeamName }
+      });
+    }
+
+    const entered =
+      playerAppearedFromBoxscore(match) ||
+      playerAppearedFromPlays(data?.liveData?.plays?.allPlays, match.person?.id);
+
+    return res.json({
+      player: match.person?.fullName || playerName,
+      personId: match.person?.id || null,
+      inGame: entered,
+      side: whichSide,
+      battingOrder: match?.battingOrder || null,
+      position: match?.position?.abbreviation || null,
+      rawGameState: state,
+    });
+  } catch (e) {
+    const msg = e?.response?.data?.message || e.message || 'Unknown error';
+    const status = e?.response?.status || 500;
+    res.status(status).json({ error: msg });
+  }
+});
+
+// ---------- API: game summary ----------
+// Read by every open dashboard on each feed event, so it never costs its own statsapi request for a game a
+// watcher polls: it's the poller's kept feed, else a full download cached for a poll interval
+router.get('/api/game/:gamePk/summary', async (req, res) => {
+  try {
+    const { gamePk } = req.params;
+    if (!/^\d+$/.test(gamePk)) return res.status(400).json({ error: 'gamePk must be numeric' });
+    const { playerName, personId } = req.query;
+    const data = keptLiveFeed(gamePk) || await fetchLiveFeed(gamePk, { ttlMs: POLL_SLOW });
+    res.json(liveGameSummary(gamePk, data, { personId, playerName }));
+  } catch (e) {
+    const msg = e?.response?.data?.message || e.message || 'Unknown error';
+    const status = e?.response?.status || 500;
+    res.status(status).json({ error: msg });
+  }
+});
+
+module.exports = router;
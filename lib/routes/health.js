@@ -0,0 +1,73 @@
+// lib/routes/health.js
+// /metrics is Prometheus text format (bearer METRICS_TOKEN when set); /api/health is JSON. Both are
+// mounted ahead of authenticate.
+const express = require('express');
+const { labelString, pollsLastMinute, upstreamSummary, renderMetrics } = require('../metrics');
+const { gamePollers } = require('../pollers');
+const { heldAlertCount } = require('../held');
+const { WATCHER_ESCALATE, watchers } = require('../watchers');
+
+const router = express.Router();
+const startedAt = Date.now();
+
+// Watchers that should be reading a feed right now (not paused, not asleep between follow-mode games)
+const pollingWatchers = () => [...watchers.values()].filter(w => !w.paused && w.targets.some(t => t.gamePk && !t.done));
+
+function gaugeSamples() {
+  const now = Date.now();
+  const all = [...watchers.values()];
+  const polling = pollingWatchers();
+  const one = value => [['', value]];
+  return [
+    ['player_alert_watchers', 'Watchers by state', [
+      ['state="running"', all.filter(w => !w.paused).length],
+      ['state="paused"', all.filter(w => w.paused).length],
+    ]],
+    ['player_alert_game_pollers', 'Games being polled', one(gamePollers.size)],
+    ['player_alert_polls_last_minute', 'Game feed polls in the last 60 seconds', one(pollsLastMinute())],
+    ['player_alert_watcher_last_success_age_seconds', 'Seconds since each polling watcher last handled a feed (since start if never)',
+      polling.map(w => [labelString({ watch_id: w.id }), Math.round((now - (w.lastSuccessAt || w.startedAt)) / 1000)])],
+    ['player_alert_watcher_consecutive_errors', 'Failures in a row per watcher',
+      all.map(w => [labelString({ watch_id: w.id }), w.consecutiveErrors])],
+    ['player_alert_watchers_escalated', `Watchers with ${WATCHER_ESCALATE}+ failures in a row`,
+      one(all.filter(w => w.consecutiveErrors >= WATCHER_ESCALATE).length)],
+    ['player_alert_held_alerts', 'Alerts waiting out quiet hours', one(heldAlertCount())],
+    ['process_uptime_seconds', 'Seconds since the process started', one(Math.round(process.uptime()))],
+    ['process_resident_memory_bytes', 'Resident set size', one(process.memoryUsage().rss)],
+  ];
+}
+
+router.get('/metrics', (req, res) => {
+  const { METRICS_TOKEN } = process.env;
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHENTICATED' });
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics(gaugeSamples()));
+});
+
+// Unauthenticated, so it reports counts and ids only — no player names or error text.
+// Always 200 while the process can answer: one watcher's bad team or dead game is that watcher's problem,
+// not a reason for a load balancer to pull the instance. Failing watchers show up in the body instead.
+router.get('/api/health', (_req, res) => {
+  const all = [...watchers.values()];
+  const failing = all.filter(w => w.consecutiveErrors > 0).map(w => ({
+    id: w.id,
+    consecutiveErrors: w.consecutiveErrors,
+    escalated: w.consecutiveErrors >= WATCHER_ESCALATE,
+    lastSuccessAt: w.lastSuccessAt ? new Date(w.lastSuccessAt).toISOString() : null,
+  }));
+  const degraded = failing.some(w => w.escalated);
+  res.json({
+    status: degraded ? 'degraded' : 'ok',
+    uptimeSec: Math.round((Date.now() - startedAt) / 1000),
+    watchers: { running: all.filter(w => !w.paused).length, paused: all.filter(w => w.paused).length },
+    gamePollers: gamePollers.size,
+    pollsLastMinute: pollsLastMinute(),
+    heldAlerts: heldAlertCount(),
+    upstream: upstreamSummary(),
+    failingWatchers: failing,
+  });
+});
+
+module.exports = router;
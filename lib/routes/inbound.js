@@ -0,0 +1,120 @@
+// lib/routes/inbound.js
+// Webhooks for replies to alerts, mounted ahead of authenticate: the provider is verified instead of a user.
+//  - POST /api/inbound/sms is a Twilio Messaging webhook, checked against X-Twilio-Signature with
+//    TWILIO_AUTH_TOKEN, and answers with TwiML. Twilio signs the public URL it posted to, so behind a proxy
+//    set INBOUND_BASE_URL (e.g. https://alerts.example.com) to that origin.
+//    Twilio reserves some keywords when they are the whole message. STOP, STOPALL, UNSUBSCRIBE, CANCEL, END
+//    and QUIT opt the number out of all our texts: Twilio sends its own confirmation (our TwiML reply is
+//    dropped) and refuses every later message until the number texts START, UNSTOP or YES. So a bare STOP
+//    marks the sender's SMS destinations opted out (alerts are logged as 'opted-out', not sent) and START
+//    clears it; leaving one watcher is LEAVE #<id>. HELP and INFO get Twilio's help text as well as ours.
+//  - POST /api/inbound/email is a SendGrid Inbound Parse webhook (multipart/form-data). Inbound Parse isn't
+//    signed, so its URL carries INBOUND_EMAIL_SECRET as the basic-auth password
+//    (https://inbound:<secret>@host/api/inbound/email) or ?key=<secret>. That only proves SendGrid posted
+//    it; the sender is trusted when SendGrid's SPF or DKIM result vouches for the From domain. The reply
+//    goes out by email, and only to senders some watcher alerts, so a forged From can't relay mail.
+const crypto = require('crypto');
+const express = require('express');
+const busboy = require('busboy');
+const twilio = require('twilio');
+const { log } = require('../log');
+const { sendEmail } = require('../notifiers');
+const { emailLayout, escapeHtml } = require('../templates');
+const { parseCommand, emailAddress, emailAuthenticated, senderWatchers, runCommand } = require('../inbound');
+
+const router = express.Router();
+// Inbound Parse includes attachments; commands never need them
+const EMAIL_MAX_BYTES = 1024 * 1024;
+
+// The URL Twilio signed: what it was configured to post to
+function publicUrl(req) {
+  const base = process.env.INBOUND_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/+$/, '')}${req.originalUrl}`;
+}
+
+const sameSecret = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(a)).digest(),
+  crypto.createHash('sha256').update(String(b)).digest()
+);
+
+// The basic-auth password, else ?key=
+function emailSecret(req) {
+  const m = /^Basic\s+(.+)$/i.exec(req.get('authorization') || '');
+  if (m) {
+    const decoded = Buffer.from(m[1], 'base64').toString('utf8');
+    return decoded.slice(decoded.indexOf(':') + 1);
+  }
+  return req.query.key || '';
+}
+
+// Text fields of a multipart/form-data request; files are drained unread
+function parseMultipart(req) {
+  return new Promise((resolve, reject) => {
+    let bb;
+    try {
+      bb = busboy({ headers: req.headers, limits: { fieldSize: EMAIL_MAX_BYTES } });
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    const fields = {};
+    bb.on('field', (name, value) => { fields[name] = value; });
+    bb.on('file', (_name, stream) => stream.resume());
+    bb.on('close', () => resolve(fields));
+    bb.on('error', reject);
+    req.pipe(bb);
+  });
+}
+
+router.post('/api/inbound/sms', express.urlencoded({ extended: false }), async (req, res) => {
+  const { TWILIO_AUTH_TOKEN } = process.env;
+  if (!TWILIO_AUTH_TOKEN) return res.status(503).json({ error: 'SMS replies need TWILIO_AUTH_TOKEN' });
+  const signature = req.get('x-twilio-signature') || '';
+  if (!twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, publicUrl(req), req.body || {})) {
+    return res.status(403).json({ error: 'Invalid Twilio signature' });
+  }
+  try {
+    const { From: from, Body: body } = req.body;
+    const reply = await runCommand(parseCommand(body), { channel: 'sms', from });
+    const twiml = new twilio.twiml.MessagingResponse();
+    twiml.message(reply);
+    res.type('text/xml').send(twiml.toString());
+  } catch (e) {
+    log.error('SMS reply failed', { error: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/api/inbound/email', async (req, res) => {
+  const { INBOUND_EMAIL_SECRET } = process.env;
+  if (!INBOUND_EMAIL_SECRET) return res.status(503).json({ error: 'Email replies need INBOUND_EMAIL_SECRET' });
+  if (!sameSecret(emailSecret(req), INBOUND_EMAIL_SECRET)) return res.status(403).json({ error: 'Invalid inbound email secret' });
+  let fields;
+  try {
+    fields = await parseMultipart(req);
+  } catch (e) {
+    return res.status(400).json({ error: `Expected Inbound Parse multipart/form-data: ${e.message}` });
+  }
+  const from = emailAddress(fields.from);
+  if (!from) return res.status(400).json({ error: 'Missing "from"' });
+  // Ignored with a 2xx: anything else and SendGrid keeps retrying the same message
+  if (!emailAuthenticated(fields)) {
+    log.warn('Ignoring email reply that failed SPF and DKIM', { from, spf: fields.SPF || null, dkim: fields.dkim || null });
+    return res.json({ ok: false, ignored: 'Sender not verified by SPF or DKIM' });
+  }
+  const sender = { channel: 'email', from };
+  if (!senderWatchers(sender).length) return res.json({ ok: false, ignored: 'Sender is not on any watcher' });
+  try {
+    const reply = await runCommand(parseCommand(fields.text), sender);
+    const subject = /^re:/i.test(fields.subject || '') ? fields.subject : `Re: ${fields.subject || 'Player Alert'}`;
+    // A failed reply is logged rather than failing the webhook, which SendGrid would retry
+    sendEmail(from, subject, emailLayout('Player Alert', `<p>${escapeHtml(reply).replace(/\n/g, '<br>')}</p>`), reply)
+      .catch(e => log.warn('Email reply failed', { to: from, error: e.message }));
+    res.json({ ok: true, reply });
+  } catch (e) {
+    log.error('Email reply failed', { error: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// lib/routes/notify.js
+// Test sends to any channel, and the Web Push public key for browsers subscribing to alerts
+const express = require('express');
+const { limitTests } = require('../auth');
+const { sendEmail, sendSms, toSmsList, getVapidKeys, normalizeDestinations, destinationLabel, deliver } = require('../notifiers');
+
+const router = express.Router();
+
+router.post('/api/test/email', limitTests, async (req, res) => {
+  try {
+    const { to, subject, html } = req.body || {};
+    if (!to) return res.status(400).json({ error: 'Missing "to" email address' });
+    const subj = subject || 'Test Email from Player Alert System ✅';
+    const body = html || '<h2>Test Email</h2><p>This is a test from the Player Alert System.</p>';
+    await sendEmail(to, subj, body);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+router.post('/api/test/sms', limitTests, async (req, res) => {
+  try {
+    const { to, body } = req.body || {};
+    const numbers = toSmsList(to);
+    if (!numbers.length) return res.status(400).json({ error: 'Missing "to" phone number' });
+    const text = body || 'Test SMS from Player Alert System ✅';
+    for (const n of numbers) await sendSms(n, text);
+    res.json({ ok: true, sent: numbers.length });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// The client subscribes its service worker with this key before adding the browser as a push destination
+router.get('/api/push/key', (_req, res) => {
+  try {
+    res.json({ publicKey: getVapidKeys().publicKey });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/api/test/notify', limitTests, async (req, res) => {
+  try {
+    const { destination } = req.body || {};
+    const [dest] = normalizeDestinations({ destinations: [destination] });
+    const subject = 'Test alert from Player Alert System ✅';
+    const text = 'If you can read this, alerts will reach this destination.';
+    const msg = {
+      subject,
+      text,
+      html: `<h2>${subject}</h2><p>${text}</p>`,
+      sms: `${subject} ${text}`,
+      payload: { type: 'test', subject, text, at: new Date().toISOString() },
+    };
+    const attempts = [];
+    const ok = await deliver(dest, msg, a => attempts.push(a), { attempts: 1 });
+    res.status(ok ? 200 : 502).json({ ok, destination: destinationLabel(dest), attempts });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// lib/routes/replays.js
+const express = require('express');
+const { listRecordings } = require('../replay');
+const { startRecording, stopRecording, isRecording } = require('../recorder');
+
+const router = express.Router();
+
+router.post('/api/record/start', (req, res) => {
+  try {
+    const { gamePk, name } = req.body || {};
+    if (!gamePk) return res.status(400).json({ error: 'gamePk is required' });
+    const rec = startRecording(gamePk, name);
+    res.json({ name: rec.name, gamePk: rec.gamePk, frames: rec.seq });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+router.post('/api/record/stop', (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    res.json({ ok: stopRecording(name) });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+router.get('/api/replays', (req, res) => {
+  const list = listRecordings().map(r => ({ ...r, recording: isRecording(r.name) }));
+  res.json({ replays: list });
+});
+
+module.exports = router;
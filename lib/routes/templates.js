@@ -0,0 +1,95 @@
+// lib/routes/templates.js
+const express = require('express');
+const { isTimeZone } = require('../util');
+const { ALERT_EVENT_TYPES, ROSTER_EVENT_TYPES, SIMULATED_STATUS, statusFromFeed, gameSummaryFromFeed } = require('../detection');
+const { listFrames, readFrame } = require('../replay');
+const {
+  TEMPLATE_CHANNELS, TEMPLATE_FIELDS, DEFAULT_TEMPLATE, defaultTemplate, templateFor, templateErrors, userTemplates, setUserTemplate,
+  templateSlotError, formatAlertTime, alertContext, formatAlertText,
+} = require('../templates');
+
+const router = express.Router();
+
+router.get('/api/templates', (req, res) => {
+  res.json({
+    events: ALERT_EVENT_TYPES,
+    channels: TEMPLATE_CHANNELS,
+    fields: TEMPLATE_FIELDS,
+    defaults: DEFAULT_TEMPLATE,
+    // Built-in template per event, where it differs from `defaults` (roster events)
+    eventDefaults: Object.fromEntries(ROSTER_EVENT_TYPES.map(ev => [ev, defaultTemplate(ev)])),
+    templates: userTemplates(req.user.id),
+  });
+});
+
+router.put('/api/templates/:event/:channel', (req, res) => {
+  try {
+    const { event, channel } = req.params;
+    const slotError = templateSlotError(req.params);
+    if (slotError) return res.status(400).json({ error: slotError });
+    const errors = templateErrors(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+    setUserTemplate(req.user.id, event, channel, req.body);
+    res.json({ ok: true, template: templateFor(req.user.id, event, channel) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.delete('/api/templates/:event/:channel', (req, res) => {
+  try {
+    const { event, channel } = req.params;
+    const slotError = templateSlotError(req.params);
+    if (slotError) return res.status(400).json({ error: slotError });
+    setUserTemplate(req.user.id, event, channel, null);
+    res.json({ ok: true, template: templateFor(req.user.id, event, channel) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Renders a (possibly unsaved) template against the sample status, or a recorded frame with replay=<name>
+// (`timezone` shows {{time}} as a recipient in that zone would see it)
+router.post('/api/templates/preview', (req, res) => {
+  try {
+    const { event = 'entered', channel = '*', template, replay, frame, playerName, personId, team, timezone } = req.body || {};
+    if (!ALERT_EVENT_TYPES.includes(event)) return res.status(400).json({ error: `event must be one of ${ALERT_EVENT_TYPES.join(', ')}` });
+    if (timezone && !isTimeZone(timezone)) return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+    if (template) {
+      const errors = templateErrors(template);
+      if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+    }
+    const sampleEvent = { type: event, inning: 'Top 5', detail: event === 'homeRun' ? 'Sample Player homers (12) on a fly ball to left field.' : null, position: 'SS' };
+    let target = { playerName: playerName || 'Sample Player', team: team || 'Glendale Desert Dogs', gamePk: '777001' };
+    let status = { ...SIMULATED_STATUS, rawGameState: 'In Progress' };
+    let game = { gamePk: target.gamePk, away: 'Scottsdale Scorpions', home: target.team, score: '3-2', awayScore: 3, homeScore: 2, inning: 'Top 5', rawGameState: 'In Progress' };
+    if (replay) {
+      if (!playerName && !personId) return res.status(400).json({ error: 'playerName or personId is required with replay' });
+      const frames = listFrames(replay);
+      if (!frames.length) return res.status(404).json({ error: `No recorded frames for "${replay}"` });
+      const i = frame === undefined ? frames.length - 1 : Math.min(Math.max(Number(frame) || 0, 0), frames.length - 1);
+      const data = readFrame(frames[i]);
+      const gamePk = String(data?.gamePk || data?.gameData?.game?.pk || '');
+      status = statusFromFeed(data, { playerName, personId });
+      game = gameSummaryFromFeed(gamePk, data);
+      target = { playerName: status.fullName || playerName || `#${personId}`, team: team || (status.side ? game[status.side] : '-'), gamePk };
+      sampleEvent.inning = game.inning;
+      sampleEvent.detail = null;
+      sampleEvent.position = status.position;
+    } else if (ROSTER_EVENT_TYPES.includes(event)) {
+      // Roster moves have no game behind them
+      const detail = { rosterStatus: 'Active → Injured 10-Day', transaction: `${target.team} placed ${target.playerName} on the 10-day injured list.` }[event] || null;
+      Object.assign(sampleEvent, { team: target.team, inning: null, status: event === 'rosterRemoved' ? null : event === 'rosterAdded' ? 'Active' : 'Injured 10-Day', typeDesc: 'Status Change', detail });
+      status = { position: 'SS' };
+      game = null;
+      target.gamePk = null;
+    }
+    const context = alertContext(target, status, sampleEvent, game);
+    if (timezone) context.time = formatAlertTime(new Date(), timezone);
+    res.json({ ...formatAlertText(context, { owner: req.user.id, channel, template }), context });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
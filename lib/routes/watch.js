@@ -0,0 +1,277 @@
+// lib/routes/watch.js
+const express = require('express');
+const { ymd } = require('../util');
+const { DEFAULT_SPORT_ID, toSportId, resolveTimeZone, getTeamIdByName, resolveGamePkIfNeeded } = require('../leagues');
+const { EVENT_TYPES, ROSTER_EVENT_TYPES } = require('../detection');
+const { ROSTER_TYPES, DEFAULT_ROSTER_TYPE } = require('../rosters');
+const { startReplay } = require('../replay');
+const { gamePollState } = require('../pollers');
+const { limitWatchStart } = require('../auth');
+const { destinationLabel, normalizeDestinations } = require('../notifiers');
+const {
+  ROSTER_DEFAULT_INTERVAL_MIN, ROSTER_MIN_INTERVAL_MIN, watchers, stoppedWatchers, watchEvents, startAdaptiveWatcher,
+  startRosterWatcher, pauseWatcher, resumeWatcher, updateWatcher, stopWatcher, followUntil, normalizePlayers, watchOptionsError,
+} = require('../watchers');
+
+const router = express.Router();
+
+router.post('/api/watch/start', limitWatchStart, async (req, res) => {
+  try {
+    const {
+      team = 'Glendale Desert Dogs',
+      playerName,
+      personId,
+      players,
+      date,
+      timezone,
+      gamePk,
+      sportId,
+      season,
+      simulate = false,
+      replay,
+      speed = 1,
+      follow = false,
+      until,
+      emailTo,
+      smsTo,
+      destinations,
+      recipients,
+      cooldownSec = 300,
+      stopAfterAlert = true,
+      events = ['entered'],
+    } = req.body || {};
+    const eventsError = watchOptionsError({ events, cooldownSec });
+    if (eventsError) return res.status(400).json({ error: eventsError });
+    if (follow && (simulate || replay)) return res.status(400).json({ error: 'follow cannot be combined with simulate or replay' });
+    const dests = normalizeDestinations({ destinations, recipients, emailTo, smsTo });
+    const wanted = normalizePlayers(players, playerName, personId);
+    if (!wanted.length) return res.status(400).json({ error: 'playerName, personId or players is required' });
+    // "Today", follow-mode schedules and default alert times are all in this zone
+    const tz = await resolveTimeZone({ timezone, sportId, season });
+    const day = date || ymd(new Date(), tz);
+
+    // Resolve each distinct team/game once, however many players share it.
+    // A replay stands in for every game: all players are read from the recorded feed.
+    const replayPk = replay ? startReplay(replay, speed) : null;
+    const resolved = new Map();
+    const targets = [];
+    for (const p of wanted) {
+      const t = p.team || team;
+      const league = { sportId: toSportId(p.sportId || sportId), season: p.season || season, timezone: tz };
+      const base = { playerName: p.playerName || `#${p.personId}`, personId: p.personId, team: t, sportId: league.sportId };
+      if (replayPk) { targets.push({ ...base, gamePk: replayPk }); continue; }
+      if (follow) {
+        // Validate the team now; the watcher itself walks the schedule
+        await getTeamIdByName(t, league);
+        targets.push({ ...base, gamePk: null, follow: true, until: await followUntil(until, p.date || day, league), played: [], nextGame: null });
+        continue;
+      }
+      const pk = p.gamePk || (p.team ? null : gamePk);
+      const key = `${t}|${league.sportId}|${pk || ''}|${p.date || day}`;
+      if (!resolved.has(key)) resolved.set(key, await resolveGamePkIfNeeded(t, p.date || day, pk, simulate, league));
+      targets.push({ ...base, gamePk: resolved.get(key) });
+    }
+
+    const { id } = startAdaptiveWatcher({ owner: req.user.id, team, date: day, timezone: tz, sportId: toSportId(sportId), simulate, replay, speed, destinations: dests, cooldownSec: Number(cooldownSec), stopAfterAlert: Boolean(stopAfterAlert), events: [].concat(events), targets });
+    const gamePks = [...new Set(targets.map(t => t.gamePk).filter(Boolean))];
+    res.json({ id, gamePk: gamePks[0] || null, gamePks, targets });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Roster watchers alert when players join, leave or change status on whole teams' rosters, optionally
+// narrowed to some players
+router.post('/api/watch/roster', limitWatchStart, async (req, res) => {
+  try {
+    const {
+      team = 'Glendale Desert Dogs',
+      teams,
+      players,
+      playerName,
+      personId,
+      sportId,
+      season,
+      timezone,
+      rosterType = DEFAULT_ROSTER_TYPE,
+      intervalMin = ROSTER_DEFAULT_INTERVAL_MIN,
+      events = ROSTER_EVENT_TYPES,
+      emailTo,
+      smsTo,
+      destinations,
+      recipients,
+    } = req.body || {};
+    const eventsError = watchOptionsError({ events }, ROSTER_EVENT_TYPES);
+    if (eventsError) return res.status(400).json({ error: eventsError });
+    if (!ROSTER_TYPES.includes(rosterType)) return res.status(400).json({ error: `rosterType must be one of ${ROSTER_TYPES.join(', ')}` });
+    if (!(Number(intervalMin) >= ROSTER_MIN_INTERVAL_MIN)) return res.status(400).json({ error: `intervalMin must be at least ${ROSTER_MIN_INTERVAL_MIN}` });
+    const dests = normalizeDestinations({ destinations, recipients, emailTo, smsTo });
+    if (dests.some(d => d.prefs?.delivery === 'digest')) {
+      return res.status(400).json({ error: 'Digest delivery needs a game; roster watchers send each move as it happens' });
+    }
+
+    const league = { sportId: toSportId(sportId), season };
+    const tz = await resolveTimeZone({ timezone, ...league });
+    const names = [...new Set([].concat(teams || team).map(t => String(t || '').trim()).filter(Boolean))];
+    if (!names.length) return res.status(400).json({ error: 'team or teams is required' });
+    const targets = [];
+    for (const name of names) targets.push({ team: name, teamId: await getTeamIdByName(name, league), sportId: league.sportId });
+
+    const { id } = startRosterWatcher({
+      owner: req.user.id,
+      sportId: league.sportId,
+      season: Number(season) || null,
+      timezone: tz,
+      rosterType,
+      intervalMin: Number(intervalMin),
+      events: [].concat(events),
+      players: normalizePlayers(players, playerName, personId),
+      destinations: dests,
+      targets,
+    });
+    res.json({ id, targets });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Watchers are only visible to the user who started them; anyone else gets a 404
+function ownedWatcher(req, id) {
+  const w = watchers.get(id) || stoppedWatchers.get(id);
+  return w && w.params.owner === req.user.id ? w : null;
+}
+
+router.post('/api/watch/stop', (req, res) => {
+  const { id } = req.body || {};
+  if (!id) return res.status(400).json({ error: 'id is required' });
+  if (!ownedWatcher(req, id)) return res.status(404).json({ error: 'Watcher not found' });
+  const ok = stopWatcher(id);
+  res.json({ ok });
+});
+
+router.post('/api/watch/:id/pause', (req, res) => {
+  const w = ownedWatcher(req, req.params.id);
+  if (!w) return res.status(404).json({ error: 'Watcher not found' });
+  if (w.stopped) return res.status(409).json({ error: 'Watcher has stopped' });
+  pauseWatcher(w.id);
+  res.json({ ok: true, paused: true });
+});
+
+router.post('/api/watch/:id/resume', (req, res) => {
+  const w = ownedWatcher(req, req.params.id);
+  if (!w) return res.status(404).json({ error: 'Watcher not found' });
+  if (w.stopped) return res.status(409).json({ error: 'Watcher has stopped' });
+  resumeWatcher(w.id);
+  res.json({ ok: true, paused: false });
+});
+
+// Edits alert settings in place; players and games are fixed once a watcher starts
+router.patch('/api/watch/:id', (req, res) => {
+  try {
+    const w = ownedWatcher(req, req.params.id);
+    if (!w) return res.status(404).json({ error: 'Watcher not found' });
+    if (w.stopped) return res.status(409).json({ error: 'Watcher has stopped' });
+    const { events, cooldownSec, stopAfterAlert, destinations, recipients, emailTo, smsTo } = req.body || {};
+    const optionsError = watchOptionsError({ events, cooldownSec }, w.kind === 'roster' ? ROSTER_EVENT_TYPES : EVENT_TYPES);
+    if (optionsError) return res.status(400).json({ error: optionsError });
+
+    const changes = {};
+    if (events !== undefined) changes.events = [].concat(events);
+    if (cooldownSec !== undefined) changes.cooldownSec = Number(cooldownSec);
+    if (stopAfterAlert !== undefined) changes.stopAfterAlert = Boolean(stopAfterAlert);
+    if ([destinations, recipients, emailTo, smsTo].some(v => v !== undefined)) {
+      changes.destinations = normalizeDestinations({ destinations, recipients, emailTo, smsTo });
+    }
+    updateWatcher(w.id, changes);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Server-Sent Events: replays the watcher's recent log, then pushes status changes and alerts live
+router.get('/api/watch/:id/events', (req, res) => {
+  const w = ownedWatcher(req, req.params.id);
+  if (!w) return res.status(404).json({ error: 'Watcher not found' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+
+  const send = msg => res.write(`event: ${msg.type}\ndata: ${JSON.stringify(msg)}\n\n`);
+  w.log.forEach(send);
+  if (w.stopped) return res.end();
+  watchEvents.on(w.id, send);
+  const ping = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(ping);
+    watchEvents.off(w.id, send);
+  });
+});
+
+router.get('/api/watch/:id/deliveries', (req, res) => {
+  const w = ownedWatcher(req, req.params.id);
+  if (!w) return res.status(404).json({ error: 'Watcher not found' });
+  res.json({ deliveries: w.deliveries });
+});
+
+const rosterTarget = t => ({
+  team: t.team,
+  teamId: t.teamId || null,
+  sportId: t.sportId || DEFAULT_SPORT_ID,
+  rosterSize: t.roster ? Object.keys(t.roster).length : null,
+  lastCheckAt: t.lastCheckAt,
+  nextCheckAt: t.nextCheckAt,
+  fired: t.fired,
+});
+
+router.get('/api/watch', (req, res) => {
+  const list = [...watchers.values()].filter(w => w.params.owner === req.user.id).map(w => (w.kind === 'roster' ? {
+    id: w.id,
+    kind: 'roster',
+    paused: w.paused,
+    events: w.params.events,
+    players: w.params.players,
+    rosterType: w.params.rosterType,
+    intervalMin: w.params.intervalMin,
+    destinations: (w.params.destinations || []).map(destinationLabel),
+    lastError: w.lastError,
+    consecutiveErrors: w.consecutiveErrors,
+    lastSuccessAt: w.lastSuccessAt ? new Date(w.lastSuccessAt).toISOString() : null,
+    timezone: w.params.timezone || null,
+    targets: w.targets.map(rosterTarget),
+  } : {
+    id: w.id,
+    kind: 'game',
+    paused: w.paused,
+    simulate: w.params.simulate,
+    replay: w.params.replay || null,
+    events: w.params.events || ['entered'],
+    cooldownSec: w.params.cooldownSec ?? 300,
+    stopAfterAlert: w.params.stopAfterAlert ?? true,
+    destinations: (w.params.destinations || []).map(destinationLabel),
+    lastError: w.lastError,
+    consecutiveErrors: w.consecutiveErrors,
+    lastSuccessAt: w.lastSuccessAt ? new Date(w.lastSuccessAt).toISOString() : null,
+    timezone: w.params.timezone || null,
+    gamePks: [...new Set(w.targets.map(t => t.gamePk))],
+    targets: w.targets.map(t => ({
+      playerName: t.playerName,
+      personId: t.personId || null,
+      team: t.team,
+      sportId: t.sportId || DEFAULT_SPORT_ID,
+      gamePk: t.gamePk,
+      lastInGame: t.lastInGame,
+      lastAlertAt: t.lastAlertAt,
+      lastState: t.lastState,
+      done: t.done,
+      fired: t.fired,
+      follow: Boolean(t.follow),
+      until: t.until || null,
+      nextGame: t.nextGame || null,
+      poll: t.gamePk && !t.done ? gamePollState(t.gamePk) : null,
+    })),
+  }));
+  res.json({ watchers: list });
+});
+
+module.exports = router;
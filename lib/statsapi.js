@@ -0,0 +1,107 @@
+// lib/statsapi.js
+const axios = require('axios');
+const { recordUpstream } = require('./metrics');
+const { sleep } = require('./util');
+
+// Every statsapi call goes through statsGet: responses can be cached per URL (concurrent callers share
+// one request), at most STATSAPI_CONCURRENCY requests are in flight, at most STATSAPI_PER_MINUTE are
+// sent per rolling minute, and 429/5xx answers are retried with backoff (a 429 pauses the whole queue).
+const STATSAPI = 'https://statsapi.mlb.com/api';
+const { STATSAPI_CONCURRENCY, STATSAPI_PER_MINUTE } = process.env;
+const STATS_CONCURRENCY = Number(STATSAPI_CONCURRENCY) || 4;
+const STATS_PER_MINUTE = Number(STATSAPI_PER_MINUTE) || 120;
+const STATS_ATTEMPTS = 4;
+const STATS_CACHE_MAX = 500;
+
+const statsQueue = [];
+const statsSentAt = [];
+const statsCache = new Map();
+let statsActive = 0;
+let statsPausedUntil = 0;
+let statsWake = null;
+// Anything with axios' get(url, { params, timeout }) → { status, data }; tests swap in a fake
+let http = axios;
+
+function setHttpClient(client) {
+  http = client || axios;
+}
+
+// Drops cached responses, e.g. between tests that serve different payloads for the same URL
+function clearStatsCache() {
+  statsCache.clear();
+}
+
+// Statsapi paths with ids folded, e.g. /v1.1/game/:id/feed/live, so each endpoint is one metrics series
+const upstreamEndpoint = url => url.replace(STATSAPI, '').replace(/\/\d+(?=\/|$)/g, '/:id');
+
+function pumpStatsQueue() {
+  while (statsActive < STATS_CONCURRENCY && statsQueue.length) {
+    const now = Date.now();
+    while (statsSentAt.length && now - statsSentAt[0] >= 60000) statsSentAt.shift();
+    const wait = Math.max(
+      statsPausedUntil - now,
+      statsSentAt.length >= STATS_PER_MINUTE ? statsSentAt[0] + 60000 - now : 0
+    );
+    if (wait > 0) {
+      if (!statsWake) statsWake = setTimeout(() => { statsWake = null; pumpStatsQueue(); }, wait);
+      return;
+    }
+    statsSentAt.push(now);
+    statsActive++;
+    statsQueue.shift()().finally(() => { statsActive--; pumpStatsQueue(); });
+  }
+}
+
+function throttled(fn) {
+  return new Promise((resolve, reject) => {
+    statsQueue.push(() => fn().then(resolve, reject));
+    pumpStatsQueue();
+  });
+}
+
+// One timed GET; every attempt (including retries) is counted against its endpoint
+async function timedGet(url, params) {
+  const t0 = Date.now();
+  try {
+    const res = await http.get(url, { params, timeout: 15000 });
+    recordUpstream(upstreamEndpoint(url), res.status || 200, Date.now() - t0);
+    return res;
+  } catch (e) {
+    recordUpstream(upstreamEndpoint(url), e.response?.status || 'error', Date.now() - t0);
+    throw e;
+  }
+}
+
+async function statsRequest(url, params) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { data } = await throttled(() => timedGet(url, params));
+      return data;
+    } catch (e) {
+      const status = e.response?.status;
+      if (!(status === 429 || status >= 500) || attempt >= STATS_ATTEMPTS) throw e;
+      const retryAfter = Number(e.response.headers?.['retry-after']);
+      const wait = retryAfter > 0 ? retryAfter * 1000 : 1000 * 2 ** (attempt - 1);
+      if (status === 429) statsPausedUntil = Math.max(statsPausedUntil, Date.now() + wait);
+      await sleep(wait);
+    }
+  }
+}
+
+// GET <statsapi>/<path>; ttlMs > 0 caches the (successful) response for that long
+function statsGet(pathname, params = {}, ttlMs = 0) {
+  const key = `${pathname}?${new URLSearchParams(params)}`;
+  const hit = statsCache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.promise;
+  const promise = statsRequest(`${STATSAPI}${pathname}`, params);
+  if (ttlMs > 0) {
+    if (statsCache.size >= STATS_CACHE_MAX) {
+      for (const [k, v] of statsCache) if (v.expires <= Date.now()) statsCache.delete(k);
+    }
+    statsCache.set(key, { expires: Date.now() + ttlMs, promise });
+    promise.catch(() => statsCache.delete(key));
+  }
+  return promise;
+}
+
+module.exports = { STATSAPI, statsGet, setHttpClient, clearStatsCache };
@@ -0,0 +1,16 @@
+// lib/store.js
+// Every store is a JSON file under data/ unless its *_STORE / *_LOG env var points elsewhere
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function writeJsonAtomic(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Write-then-rename so a crash mid-write never leaves a truncated file
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { DATA_DIR, writeJsonAtomic };
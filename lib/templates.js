@@ -0,0 +1,284 @@
+// lib/templates.js
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+const { DATA_DIR, writeJsonAtomic } = require('./store');
+const { ALERT_EVENT_TYPES, ROSTER_EVENT_TYPES, EVENT_HEADLINES, battingSpot, boxscoreLine, findPlayerInBoxscore, statusFromFeed } = require('./detection');
+const { SERVER_TZ } = require('./prefs');
+
+// Alert templates. Alerts are rendered from Mustache-style templates: {{field}} (HTML-escaped in the html part), {{{field}}}
+// (never escaped) and {{#field}}…{{/field}} / {{^field}}…{{/field}} for when a field is set / empty.
+// A template is { subject, text, html, sms }. Users override any part per event type and per channel
+// ('*' = every channel); each part falls back to the '*' override, then to DEFAULT_TEMPLATE (ROSTER_TEMPLATE for
+// roster events).
+// Store shape: { [userId]: { [event]: { [channel]: { subject?, text?, html?, sms? } } } }
+const TEMPLATE_CHANNELS = ['*', 'email', 'sms', 'webhook', 'slack', 'discord', 'push'];
+const TEMPLATE_PARTS = ['subject', 'text', 'html', 'sms'];
+const TEMPLATE_MAX_CHARS = 4000;
+// One GSM-7 segment; longer texts are cut rather than billed as several messages
+const SMS_MAX_CHARS = 160;
+const GAMEDAY_URL = 'https://www.mlb.com/gameday/';
+
+const TEMPLATE_FIELDS = {
+  playerName: 'Player name',
+  team: "Player's team",
+  opponent: 'Opposing team',
+  event: 'Event type (entered, atBat, …)',
+  headline: 'One-line description of the event',
+  detail: 'Play description, when the event has one',
+  inning: 'Inning, e.g. "Top 5"',
+  score: 'Score as away-home, e.g. "3-2"',
+  awayTeam: 'Away team',
+  homeTeam: 'Home team',
+  awayScore: 'Away runs',
+  homeScore: 'Home runs',
+  battingOrder: 'Lineup spot, e.g. "3rd" or "5th (sub)"',
+  position: 'Position abbreviation',
+  side: 'home or away',
+  gameState: 'Game state, e.g. "In Progress"',
+  rosterStatus: 'Roster status, e.g. "Injured 10-Day" (roster events)',
+  gamePk: 'statsapi game id',
+  gameUrl: 'Link to the game on MLB.com Gameday',
+  time: "When the alert fired, in the recipient's timezone",
+};
+
+const DEFAULT_TEMPLATE = {
+  subject: 'ALERT: {{headline}}',
+  text:
+    '{{headline}}\n\n' +
+    '{{team}}{{#opponent}} vs {{opponent}}{{/opponent}}{{#score}}, {{score}}{{/score}}{{#inning}} ({{inning}}){{/inning}}\n' +
+    '{{#detail}}Play: {{detail}}\n{{/detail}}' +
+    'Position: {{position}}{{^position}}-{{/position}} · Batting: {{battingOrder}}{{^battingOrder}}-{{/battingOrder}}\n' +
+    'State: {{gameState}}\n' +
+    'When: {{time}}' +
+    '{{#gameUrl}}\nGame: {{gameUrl}}{{/gameUrl}}',
+  html:
+    '<p style="font-size:16px;margin:0 0 16px">{{headline}}</p>' +
+    '{{#detail}}<p style="margin:0 0 16px;color:#52606d">{{detail}}</p>{{/detail}}' +
+    '<table cellpadding="4" cellspacing="0" style="font-size:14px">' +
+    '<tr><td style="color:#7b8794">Team</td><td>{{team}}{{#opponent}} vs {{opponent}}{{/opponent}}</td></tr>' +
+    '{{#score}}<tr><td style="color:#7b8794">Score</td><td>{{awayTeam}} {{awayScore}}, {{homeTeam}} {{homeScore}}</td></tr>{{/score}}' +
+    '{{#inning}}<tr><td style="color:#7b8794">Inning</td><td>{{inning}}</td></tr>{{/inning}}' +
+    '<tr><td style="color:#7b8794">Position</td><td>{{position}}{{^position}}-{{/position}}</td></tr>' +
+    '<tr><td style="color:#7b8794">Batting</td><td>{{battingOrder}}{{^battingOrder}}-{{/battingOrder}}</td></tr>' +
+    '<tr><td style="color:#7b8794">State</td><td>{{gameState}}</td></tr>' +
+    '<tr><td style="color:#7b8794">When</td><td>{{time}}</td></tr>' +
+    '</table>',
+  sms: '{{headline}}{{#score}} - {{score}}{{/score}}{{#position}}, {{position}}{{/position}} {{gameUrl}}',
+};
+
+// Roster moves happen away from any game, so there's no score, inning or lineup to show
+const ROSTER_TEMPLATE = {
+  subject: 'ALERT: {{headline}}',
+  text:
+    '{{headline}}\n\n' +
+    '{{#detail}}{{detail}}\n{{/detail}}' +
+    'Team: {{team}}\n' +
+    'Position: {{position}}{{^position}}-{{/position}}{{#rosterStatus}} · Status: {{rosterStatus}}{{/rosterStatus}}\n' +
+    'When: {{time}}',
+  html:
+    '<p style="font-size:16px;margin:0 0 16px">{{headline}}</p>' +
+    '{{#detail}}<p style="margin:0 0 16px;color:#52606d">{{detail}}</p>{{/detail}}' +
+    '<table cellpadding="4" cellspacing="0" style="font-size:14px">' +
+    '<tr><td style="color:#7b8794">Team</td><td>{{team}}</td></tr>' +
+    '<tr><td style="color:#7b8794">Position</td><td>{{position}}{{^position}}-{{/position}}</td></tr>' +
+    '{{#rosterStatus}}<tr><td style="color:#7b8794">Status</td><td>{{rosterStatus}}</td></tr>{{/rosterStatus}}' +
+    '<tr><td style="color:#7b8794">When</td><td>{{time}}</td></tr>' +
+    '</table>',
+  sms: '{{headline}}{{#detail}} - {{detail}}{{/detail}}',
+};
+
+const defaultTemplate = event => (ROSTER_EVENT_TYPES.includes(event) ? ROSTER_TEMPLATE : DEFAULT_TEMPLATE);
+
+const templatesStorePath = process.env.TEMPLATES_STORE || path.join(DATA_DIR, 'templates.json');
+let templatesStore = {};
+
+function loadTemplates() {
+  try {
+    templatesStore = JSON.parse(fs.readFileSync(templatesStorePath, 'utf8')) || {};
+  } catch (e) {
+    if (e.code !== 'ENOENT') log.error('Templates store read error', { error: e.message });
+  }
+}
+
+function saveTemplates() {
+  writeJsonAtomic(templatesStorePath, templatesStore);
+}
+
+loadTemplates();
+
+function templateFor(owner, event, channel = '*') {
+  const mine = (owner && templatesStore[owner]?.[event]) || {};
+  const tpl = {};
+  const fallback = defaultTemplate(event);
+  for (const part of TEMPLATE_PARTS) tpl[part] = mine[channel]?.[part] ?? mine['*']?.[part] ?? fallback[part];
+  return tpl;
+}
+
+// Problems with a user-supplied { subject?, text?, html?, sms? }, e.g. unknown parts or fields
+function templateErrors(tpl) {
+  if (!tpl || typeof tpl !== 'object' || Array.isArray(tpl)) return ['template must be an object'];
+  const errors = [];
+  for (const [part, value] of Object.entries(tpl)) {
+    if (!TEMPLATE_PARTS.includes(part)) errors.push(`unknown part "${part}" (expected ${TEMPLATE_PARTS.join(', ')})`);
+    else if (typeof value !== 'string' || value.length > TEMPLATE_MAX_CHARS) errors.push(`${part} must be text of at most ${TEMPLATE_MAX_CHARS} characters`);
+    else {
+      for (const [, name] of value.matchAll(/\{\{\{?[#^/]?\s*(\w+)\s*\}?\}\}/g)) {
+        if (!(name in TEMPLATE_FIELDS)) errors.push(`${part}: unknown field "${name}"`);
+      }
+    }
+  }
+  return errors;
+}
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+function renderTemplate(tpl, ctx, escape = v => v) {
+  const sections = str => str.replace(/\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g,
+    (_, kind, key, inner) => ((kind === '#') === Boolean(ctx[key]) ? sections(inner) : ''));
+  return sections(String(tpl || '')).replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g,
+    (_, raw, key) => (raw ? String(ctx[raw] ?? '') : escape(String(ctx[key] ?? ''))));
+}
+
+// Flatten whitespace and cut to SMS_MAX_CHARS; "..." rather than "…" keeps the text in GSM-7
+function fitSms(text, max = SMS_MAX_CHARS) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length <= max ? flat : `${flat.slice(0, max - 3).trimEnd()}...`;
+}
+
+// Table-based wrapper so the body renders the same in webmail and desktop clients
+function emailLayout(title, bodyHtml, link) {
+  return '<!doctype html><html><body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933">' +
+    '<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px">' +
+    `<tr><td style="padding:16px 24px;background:#0b3d91;color:#ffffff;border-radius:8px 8px 0 0;font-size:18px;font-weight:bold">${escapeHtml(title)}</td></tr>` +
+    `<tr><td style="padding:24px">${bodyHtml}` +
+    (link ? `<p style="margin:24px 0 0"><a href="${escapeHtml(link)}" style="background:#0b3d91;color:#ffffff;padding:10px 16px;border-radius:4px;text-decoration:none">Open game</a></p>` : '') +
+    '</td></tr>' +
+    '<tr><td style="padding:12px 24px;font-size:12px;color:#7b8794">Sent by Player Alert</td></tr>' +
+    '</table></body></html>';
+}
+
+// In the recipient's zone when known (see recipientTimeZone), e.g. "Oct 20, 9:41 PM MST"
+function formatAlertTime(date = new Date(), timeZone = SERVER_TZ) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone, month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short',
+  }).format(date);
+}
+
+// Every TEMPLATE_FIELDS value for one alert; `game` is gameSummaryFromFeed() when a feed is available
+function alertContext({ team, playerName, gamePk }, status, event = { type: 'entered' }, game = null) {
+  const opponent = status.side === 'home' ? game?.away : status.side === 'away' ? game?.home : null;
+  return {
+    playerName,
+    team,
+    opponent: opponent || null,
+    event: event.type,
+    headline: EVENT_HEADLINES[event.type](playerName, event),
+    detail: event.detail || null,
+    inning: event.inning || game?.inning || null,
+    score: game?.score || null,
+    awayTeam: game?.away || null,
+    homeTeam: game?.home || null,
+    awayScore: game?.awayScore ?? null,
+    homeScore: game?.homeScore ?? null,
+    battingOrder: battingSpot(status.battingOrder),
+    position: status.position || null,
+    side: status.side || null,
+    gameState: status.rawGameState || null,
+    rosterStatus: event.status || null,
+    gamePk,
+    gameUrl: /^\d+$/.test(String(gamePk)) ? `${GAMEDAY_URL}${gamePk}` : null,
+    time: formatAlertTime(),
+  };
+}
+
+// { subject, text, html, sms } for one channel, from the owner's templates; `template` overrides parts (previews)
+function formatAlertText(ctx, { owner = null, channel = '*', template = null } = {}) {
+  const tpl = { ...templateFor(owner, ctx.event, channel), ...template };
+  const subject = renderTemplate(tpl.subject, ctx).replace(/\s+/g, ' ').trim();
+  return {
+    subject,
+    text: renderTemplate(tpl.text, ctx).trim(),
+    html: emailLayout(subject, renderTemplate(tpl.html, ctx, escapeHtml), ctx.gameUrl),
+    sms: fitSms(renderTemplate(tpl.sms, ctx)),
+    link: ctx.gameUrl,
+  };
+}
+
+// A user's overrides, { [event]: { [channel]: part overrides } }
+const userTemplates = owner => templatesStore[owner] || {};
+
+// Saves one override slot, or clears it when `template` is null
+function setUserTemplate(owner, event, channel, template) {
+  const mine = templatesStore[owner] = templatesStore[owner] || {};
+  if (template) {
+    mine[event] = { ...mine[event], [channel]: template };
+  } else if (mine[event]) {
+    delete mine[event][channel];
+    if (!Object.keys(mine[event]).length) delete mine[event];
+  }
+  saveTemplates();
+}
+
+function templateSlotError({ event, channel }) {
+  if (!ALERT_EVENT_TYPES.includes(event)) return `event must be one of ${ALERT_EVENT_TYPES.join(', ')}`;
+  if (!TEMPLATE_CHANNELS.includes(channel)) return `channel must be one of ${TEMPLATE_CHANNELS.join(', ')}`;
+  return null;
+}
+
+// Digest mail: one row per target that was in the finished game
+function digestRow(t, data) {
+  const s = statusFromFeed(data, t);
+  const { match } = findPlayerInBoxscore(data?.liveData?.boxscore?.teams, t);
+  return {
+    playerName: t.playerName,
+    personId: s.personId,
+    team: t.team,
+    appeared: s.inGame,
+    position: s.position,
+    line: boxscoreLine(match),
+    events: [...t.fired],
+  };
+}
+
+function formatDigestText(game, rows) {
+  const hdr = `Game summary: ${game.away} @ ${game.home}${game.score ? ` ${game.score}` : ''}`;
+  const played = rows.filter(r => r.appeared);
+  const missed = rows.filter(r => !r.appeared).map(r => r.playerName);
+  const body =
+    `GamePk: ${game.gamePk}\n` +
+    `State: ${game.rawGameState}\n\n` +
+    (played.length ? played.map(r => `${r.playerName} (${r.position || '-'}): ${r.line || 'appeared'}`).join('\n') : 'None of your players appeared.') +
+    (missed.length ? `\n\nDid not play: ${missed.join(', ')}` : '');
+  const sms = `${hdr} - ${played.map(r => `${r.playerName} ${r.line || 'played'}`).join('; ') || 'no watched players appeared'}`;
+  const html =
+    '<table cellpadding="4" cellspacing="0" style="font-size:14px">' +
+    (played.length
+      ? played.map(r => `<tr><td><b>${escapeHtml(r.playerName)}</b> (${escapeHtml(r.position || '-')})</td><td>${escapeHtml(r.line || 'appeared')}</td></tr>`).join('')
+      : '<tr><td>None of your players appeared.</td></tr>') +
+    '</table>' +
+    (missed.length ? `<p style="color:#7b8794">Did not play: ${escapeHtml(missed.join(', '))}</p>` : '');
+  const link = /^\d+$/.test(String(game.gamePk)) ? `${GAMEDAY_URL}${game.gamePk}` : null;
+  return { subject: hdr, html: emailLayout(hdr, html, link), text: body, sms, rows };
+}
+
+module.exports = {
+  TEMPLATE_CHANNELS,
+  TEMPLATE_FIELDS,
+  DEFAULT_TEMPLATE,
+  ROSTER_TEMPLATE,
+  defaultTemplate,
+  templateFor,
+  templateErrors,
+  userTemplates,
+  setUserTemplate,
+  templateSlotError,
+  escapeHtml,
+  fitSms,
+  emailLayout,
+  formatAlertTime,
+  alertContext,
+  formatAlertText,
+  digestRow,
+  formatDigestText,
+};
@@ -0,0 +1,40 @@
+// lib/util.js
+// Small helpers shared across modules
+
+function isTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// The calendar date (YYYY-MM-DD) of `d` in an IANA timezone; the server's own zone when none is given
+function ymd(d = new Date(), timeZone = undefined) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(d);
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+// Shifts a YYYY-MM-DD date by whole days. Plain calendar arithmetic: `new Date('2026-10-20')` is UTC
+// midnight, which is still the 19th in Arizona, so dates are never round-tripped through a local Date.
+function addDays(date, days) {
+  const [y, m, d] = String(date).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Compare names loosely: accents, punctuation and Jr./Sr./II-style suffixes are ignored
+function normalizeName(name = '') {
+  return name
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.,'’-]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w && !['jr', 'sr', 'ii', 'iii', 'iv'].includes(w))
+    .join(' ');
+}
+
+module.exports = { isTimeZone, ymd, addDays, sleep, normalizeName };
@@ -0,0 +1,47 @@
+// lib/watchStore.js
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+const { DATA_DIR, writeJsonAtomic } = require('./store');
+
+// Watcher persistence (JSON file).
+// Shape: { nextWatchId, watchers: { [id]: { id, params, targets, stopped, paused } }, held: [heldEntry] }
+// where each target is { playerName, personId, team, sportId, gamePk, lastInGame, lastAlertAt, lastState,
+// done, seen (event keys already handled), fired (event types alerted), primed } plus, for
+// follow-mode targets, { follow: true, until, played (finished gamePks), nextGame }
+const watchStorePath = process.env.WATCH_STORE || path.join(DATA_DIR, 'watchers.json');
+// One object for the life of the process; loading replaces its contents, never the object
+const watchStore = { nextWatchId: 1, watchers: {}, held: [] };
+
+function loadWatchStore() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(watchStorePath, 'utf8'));
+    Object.assign(watchStore, { nextWatchId: raw.nextWatchId || 1, watchers: raw.watchers || {}, held: raw.held || [] });
+  } catch (e) {
+    if (e.code !== 'ENOENT') log.error('Watch store read error', { error: e.message });
+  }
+  return watchStore;
+}
+
+function saveWatchStore() {
+  try {
+    writeJsonAtomic(watchStorePath, watchStore);
+  } catch (e) {
+    log.error('Watch store write error', { error: e.message });
+  }
+}
+
+function persistWatcher(st) {
+  watchStore.watchers[st.id] = {
+    id: st.id,
+    params: st.params,
+    targets: st.targets,
+    stopped: st.stopped,
+    paused: Boolean(st.paused),
+  };
+  saveWatchStore();
+}
+
+const allocateWatchId = () => String(watchStore.nextWatchId++);
+
+module.exports = { watchStore, watchStorePath, loadWatchStore, saveWatchStore, persistWatcher, allocateWatchId };
@@ -0,0 +1,672 @@
+// lib/watchers.js
+// Real-time watchers (adaptive): each follows one or more players through their games on the shared
+// pollers and alerts the watcher's destinations. Roster watchers (kind 'roster') instead check team
+// rosters and transactions on a timer and alert on moves.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { log } = require('./log');
+const { incMetric } = require('./metrics');
+const { addDays } = require('./util');
+const { fetchSeasonInfo, resolveLeague, leagueToday, getTeamIdByName, getScheduleForRange, isFinalState } = require('./leagues');
+const { EVENT_TYPES, ROSTER_EVENT_TYPES, ONE_SHOT_EVENTS, SIMULATED_STATUS, statusFromFeed, detectPlayEvents, gameSummaryFromFeed } = require('./detection');
+const { REPLAY_PREFIX } = require('./replay');
+const {
+  DEFAULT_ROSTER_TYPE, TRANSACTION_LOOKBACK_DAYS, fetchRoster, fetchTransactions, rosterSnapshot, diffRosters, transactionEvents,
+  rosterEventWanted,
+} = require('./rosters');
+const { subscribeGame, unsubscribeGame } = require('./pollers');
+const { deliver, destinationLabel, normalizeDestinations } = require('./notifiers');
+const { SERVER_TZ, recipientTimeZone, quietMsRemaining, withheldStatus } = require('./prefs');
+const { emailLayout, escapeHtml, formatAlertTime, alertContext, formatAlertText, digestRow, formatDigestText } = require('./templates');
+const { appendAlertHistory, appendDeliveryHistory } = require('./history');
+const { watchStore, watchStorePath, loadWatchStore, saveWatchStore, persistWatcher, allocateWatchId } = require('./watchStore');
+const { holdAlert, scheduleHeldRelease, setPrefsLookup } = require('./held');
+
+// A watcher that keeps failing tells its destinations after WATCHER_ESCALATE failures in a row and stops at WATCHER_STOP
+const WATCHER_ESCALATE = Number(process.env.WATCHER_ESCALATE_AFTER) || 5;
+const WATCHER_STOP = Number(process.env.WATCHER_MAX_ERRORS) || 20;
+// Follow-mode watchers sleep between games and start polling this long before first pitch
+const FOLLOW_LEAD_MS = 30 * 60 * 1000;
+// ...re-reading the schedule at least this often while asleep, for rainouts and time changes
+const FOLLOW_RECHECK_MS = 6 * 60 * 60 * 1000;
+const FOLLOW_RETRY_MS = 5 * 60 * 1000;
+const FOLLOW_DEFAULT_DAYS = 30;
+// Roster watchers check every intervalMin minutes, no more often than ROSTER_MIN_INTERVAL_MIN
+const ROSTER_DEFAULT_INTERVAL_MIN = 15;
+const ROSTER_MIN_INTERVAL_MIN = 5;
+// Transaction ids a roster target remembers, so the lookback window never alerts twice
+const SEEN_TRANSACTIONS_SIZE = 500;
+
+const watchers = new Map();
+
+// Held alerts check the recipient's prefs as they are at release, since replies change them while alerts wait
+setPrefsLookup((watchId, dest) => {
+  const w = watchers.get(watchId);
+  return w?.params.destinations?.find(d => destinationLabel(d) === destinationLabel(dest))?.prefs || null;
+});
+
+// Status changes and alerts from every watcher, keyed by watcher id (feeds the SSE stream)
+const watchEvents = new EventEmitter();
+watchEvents.setMaxListeners(0);
+const WATCH_LOG_SIZE = 100;
+const DELIVERY_LOG_SIZE = 200;
+// Stopped watchers stay readable for a while so a client that subscribes late still sees the alert
+const STOPPED_LOG_TTL = 10 * 60 * 1000;
+const stoppedWatchers = new Map();
+
+// Live-only events (not kept in the log a late subscriber replays), e.g. 'feed' when a game's feed moves on
+function emitLiveEvent(st, msg) {
+  watchEvents.emit(st.id, { at: new Date().toISOString(), watchId: st.id, ...msg });
+}
+
+function emitWatchEvent(st, msg) {
+  const entry = { at: new Date().toISOString(), watchId: st.id, ...msg };
+  st.log.push(entry);
+  if (st.log.length > WATCH_LOG_SIZE) st.log.shift();
+  watchEvents.emit(st.id, entry);
+}
+
+function startAdaptiveWatcher(params, saved = null) {
+  const id = saved?.id || allocateWatchId();
+  const state = {
+    id,
+    // Watchers saved before destinations existed only carry emailTo/smsTo
+    params: { ...params, destinations: params.destinations || normalizeDestinations(params) },
+    targets: (saved?.targets || params.targets).map(({ alerted, ...t }) => ({
+      lastInGame: false, lastAlertAt: 0, lastState: null, seen: [], fired: [], primed: false,
+      // `alerted` is what records written before follow mode called `done`
+      done: Boolean(alerted), ...t,
+    })),
+    stopped: false,
+    paused: Boolean(saved?.paused),
+    lastError: null,
+    consecutiveErrors: 0,
+    lastSuccessAt: null,
+    startedAt: Date.now(),
+    log: [],
+    deliveries: [],
+    lastStatus: new Map(), // target index -> JSON of the last status pushed to listeners
+    feedStamps: new Map(), // gamePk -> metaData.timeStamp of the last feed listeners heard about
+    timers: new Map(), // target index -> timeout until that target's next game
+  };
+  delete state.params.targets;
+
+  // Read from params on every use, so edits apply to the running watcher
+  const settings = () => {
+    const { cooldownSec = 300, stopAfterAlert = true, events = ['entered'], destinations } = state.params;
+    return {
+      cooldownSec,
+      stopAfterAlert,
+      events,
+      destinations,
+      wants: new Set(events),
+      // Only one-shot events can "finish" a player; anything else keeps alerting all game
+      finishes: events.every(e => ONE_SHOT_EVENTS.includes(e)),
+      // Digest recipients need the final boxscore, so their targets stay on the game until it ends
+      wantsDigest: destinations.some(d => d.prefs?.delivery === 'digest'),
+    };
+  };
+
+  const attachGame = (i, gamePk) => {
+    const t = state.targets[i];
+    Object.assign(t, { gamePk: String(gamePk), lastInGame: false, lastState: null, seen: [], fired: [], primed: false });
+    state.lastStatus.delete(i);
+    subscribeGame(t.gamePk, id, state.subscriber);
+  };
+
+  // Follow mode: find this target's next unfinished game and either attach now or sleep until near first pitch
+  const planNextGame = async (i) => {
+    const t = state.targets[i];
+    clearTimeout(state.timers.get(i));
+    if (state.stopped || state.paused || t.done) return;
+    try {
+      const league = { sportId: t.sportId, timezone: state.params.timezone };
+      const teamId = await getTeamIdByName(t.team, league);
+      const games = await getScheduleForRange(teamId, await leagueToday(league), t.until, league);
+      const next = games.find(g => !isFinalState(g.status) && !t.played.includes(String(g.gamePk)));
+      if (state.stopped || state.paused) return;
+      if (!next) {
+        t.done = true;
+        t.nextGame = null;
+        emitWatchEvent(state, { type: 'schedule', target: i, playerName: t.playerName, message: `No more games through ${t.until}` });
+        if (state.targets.every(x => x.done)) stopWatcher(id);
+        else persistWatcher(state);
+        return;
+      }
+
+      t.nextGame = { gamePk: String(next.gamePk), gameDate: next.gameDate, gameNumber: next.gameNumber };
+      const wakeAt = new Date(next.gameDate).getTime() - FOLLOW_LEAD_MS;
+      if (wakeAt <= Date.now()) {
+        attachGame(i, next.gamePk);
+        emitWatchEvent(state, { type: 'schedule', target: i, playerName: t.playerName, gamePk: t.gamePk, message: `Watching game ${t.gamePk}` });
+      } else {
+        t.gamePk = null;
+        state.timers.set(i, setTimeout(() => planNextGame(i), Math.min(wakeAt - Date.now(), FOLLOW_RECHECK_MS)));
+        emitWatchEvent(state, { type: 'schedule', target: i, playerName: t.playerName, message: `Next game ${next.gamePk} at ${next.gameDate}` });
+      }
+      persistWatcher(state);
+    } catch (e) {
+      watcherFailed(state, 'schedule', e);
+      if (!state.stopped) state.timers.set(i, setTimeout(() => planNextGame(i), FOLLOW_RETRY_MS));
+    }
+  };
+  state.planNextGame = planNextGame;
+
+  // A target is through with its current game: follow-mode targets roll on to the next one
+  const finishGame = (i) => {
+    const t = state.targets[i];
+    if (!t.follow) { t.done = true; return; }
+    t.played = [...t.played, t.gamePk].slice(-20);
+    t.gamePk = null;
+    setImmediate(() => planNextGame(i));
+  };
+
+  // Deliveries run in the background so a slow or retrying destination never stalls the poller
+  const alertTarget = (t, s, ev, game) => {
+    const ctx = alertContext(t, s, ev, game);
+    const headline = formatAlertText(ctx, { owner: state.params.owner }).subject;
+    const alertId = logAlert(state, {
+      playerName: t.playerName,
+      personId: t.personId || null,
+      team: t.team,
+      gamePk: t.gamePk,
+      event: ev.type,
+      headline,
+      gameState: {
+        rawGameState: s.rawGameState || null,
+        inning: ctx.inning,
+        side: s.side || null,
+        position: s.position || null,
+        battingOrder: s.battingOrder || null,
+      },
+    });
+    const payload = {
+      type: 'alert',
+      event: ev.type,
+      watchId: id,
+      playerName: t.playerName,
+      personId: t.personId || null,
+      team: t.team,
+      gamePk: t.gamePk,
+      status: s,
+      fields: ctx,
+      at: new Date().toISOString(),
+    };
+    emitWatchEvent(state, { type: 'alert', event: ev.type, headline, playerName: t.playerName, gamePk: t.gamePk });
+    alertDestinations(state, ctx, ev, t, alertId, payload);
+  };
+
+  // One summary per finished game for digest recipients, covering every target that was in it
+  const sendDigest = (gamePk, data, targets) => {
+    const msg = formatDigestText(gameSummaryFromFeed(gamePk, data), targets.map(t => digestRow(t, data)));
+    const players = targets.map(t => t.playerName).join(', ');
+    const alertId = logAlert(state, {
+      playerName: players,
+      personId: null,
+      team: targets[0].team,
+      gamePk,
+      event: 'digest',
+      headline: msg.subject,
+      gameState: { rawGameState: data?.gameData?.status?.detailedState || null },
+    });
+    msg.payload = { type: 'digest', watchId: id, gamePk, subject: msg.subject, text: msg.text, players: msg.rows, at: new Date().toISOString() };
+    emitWatchEvent(state, { type: 'alert', event: 'digest', headline: msg.subject, playerName: players, gamePk });
+    const ev = { type: 'digest' };
+    for (const dest of settings().destinations) {
+      if (dest.prefs?.delivery === 'digest') notify(state, dest, msg, alertId, ev, { playerName: players, gamePk });
+    }
+  };
+
+  // Called by the shared poller with the feed for one game; each player alerts on their own
+  state.onFeed = async (gamePk, data) => {
+    if (state.paused) return;
+    const { cooldownSec, stopAfterAlert, events, wants, finishes, wantsDigest } = settings();
+    let changed = false;
+    const digestTargets = [];
+    const game = data ? gameSummaryFromFeed(gamePk, data) : null;
+    // Tells dashboards to re-read the game card (served from this same kept feed)
+    const stamp = data?.metaData?.timeStamp;
+    if (stamp && state.feedStamps.get(gamePk) !== stamp) {
+      state.feedStamps.set(gamePk, stamp);
+      emitLiveEvent(state, { type: 'feed', gamePk, timeStamp: stamp });
+    }
+    for (const [i, t] of state.targets.entries()) {
+      if (t.gamePk !== gamePk || t.done) continue;
+      const s = data ? statusFromFeed(data, t) : { ...SIMULATED_STATUS };
+      const json = JSON.stringify(s);
+      if (state.lastStatus.get(i) !== json) {
+        state.lastStatus.set(i, json);
+        emitWatchEvent(state, { type: 'status', target: i, playerName: t.playerName, gamePk, status: s });
+      }
+      // Pin the target to a person ID once the boxscore has resolved the name
+      if (!t.personId && s.personId) { t.personId = s.personId; changed = true; }
+      if (t.playerName.startsWith('#') && s.fullName) { t.playerName = s.fullName; changed = true; }
+
+      const fired = [];
+      if (wants.has('entered') && !t.lastInGame && s.inGame) {
+        if (Date.now() - t.lastAlertAt >= (cooldownSec * 1000)) fired.push({ type: 'entered', key: 'entered' });
+      }
+
+      const seen = new Set(t.seen);
+      const playEvents = data ? detectPlayEvents(data?.liveData?.plays?.allPlays, t.personId) : [];
+      for (const ev of playEvents) {
+        if (seen.has(ev.key)) continue;
+        seen.add(ev.key);
+        // The first read only records history, so starting mid-game doesn't replay old plays
+        if (t.primed && wants.has(ev.type)) fired.push(ev);
+      }
+      if (seen.size !== t.seen.length) { t.seen = [...seen]; changed = true; }
+      if (!t.primed && t.personId) { t.primed = true; changed = true; }
+
+      for (const ev of fired) {
+        alertTarget(t, s, ev, game);
+        t.lastAlertAt = Date.now();
+        if (!t.fired.includes(ev.type)) t.fired.push(ev.type);
+        changed = true;
+      }
+      if (t.lastInGame !== s.inGame || t.lastState !== s.rawGameState) changed = true;
+      t.lastInGame = s.inGame;
+      t.lastState = s.rawGameState;
+
+      const alertedOut = stopAfterAlert && finishes && !wantsDigest && events.every(e => t.fired.includes(e));
+      if (wantsDigest && data && isFinalState(s.rawGameState)) digestTargets.push(t);
+      if (alertedOut || isFinalState(s.rawGameState)) { finishGame(i); changed = true; }
+    }
+    if (digestTargets.length) sendDigest(gamePk, data, digestTargets);
+
+    if (state.stopped) return;
+    if (state.targets.every(t => t.done)) { stopWatcher(id); return; }
+    if (state.targets.every(t => t.gamePk !== gamePk || t.done)) unsubscribeGame(gamePk, id);
+    if (changed) persistWatcher(state);
+  };
+
+  // What the shared poller calls; every failure counts towards the watcher's error streak
+  state.subscriber = {
+    onFeed: async (gamePk, data) => {
+      try {
+        await state.onFeed(gamePk, data);
+        watcherSucceeded(state);
+      } catch (e) {
+        watcherFailed(state, 'alerting', e);
+      }
+    },
+    onError: e => watcherFailed(state, 'feed', e),
+  };
+
+  state.attach = () => {
+    for (const [i, t] of state.targets.entries()) {
+      if (t.done) continue;
+      if (t.gamePk) subscribeGame(t.gamePk, id, state.subscriber);
+      else if (t.follow) planNextGame(i);
+    }
+  };
+
+  watchers.set(id, state);
+  if (!state.paused) state.attach();
+  persistWatcher(state);
+  return { id };
+}
+
+// Roster watchers: every intervalMin minutes, snapshot each team's roster and read its recent transactions.
+// The first check only records what's there; later checks alert on the differences.
+function startRosterWatcher(params, saved = null) {
+  const id = saved?.id || allocateWatchId();
+  const state = {
+    id,
+    kind: 'roster',
+    params: { ...params, kind: 'roster' },
+    targets: (saved?.targets || params.targets).map(t => ({
+      roster: null, seenTransactions: [], fired: [], lastCheckAt: null, nextCheckAt: null, ...t,
+    })),
+    stopped: false,
+    paused: Boolean(saved?.paused),
+    checking: false,
+    lastError: null,
+    consecutiveErrors: 0,
+    lastSuccessAt: null,
+    startedAt: Date.now(),
+    log: [],
+    deliveries: [],
+    timers: new Map(), // 'roster' -> timeout until the next check
+  };
+  delete state.params.targets;
+
+  const alertMove = (t, ev) => {
+    const target = { playerName: ev.playerName, team: t.team, gamePk: null };
+    const ctx = alertContext(target, { position: ev.position || null }, ev);
+    const headline = formatAlertText(ctx, { owner: state.params.owner }).subject;
+    const alertId = logAlert(state, {
+      playerName: ev.playerName,
+      personId: ev.personId,
+      team: t.team,
+      gamePk: null,
+      event: ev.type,
+      headline,
+      roster: { status: ev.status || null, position: ev.position || null, detail: ev.detail || null },
+    });
+    const payload = {
+      type: 'alert',
+      event: ev.type,
+      watchId: id,
+      playerName: ev.playerName,
+      personId: ev.personId,
+      team: t.team,
+      gamePk: null,
+      fields: ctx,
+      at: new Date().toISOString(),
+    };
+    emitWatchEvent(state, { type: 'alert', event: ev.type, headline, playerName: ev.playerName, team: t.team });
+    alertDestinations(state, ctx, ev, target, alertId, payload);
+  };
+
+  const checkTeam = async (t) => {
+    const league = await resolveLeague({ sportId: t.sportId, season: state.params.season });
+    if (!t.teamId) t.teamId = await getTeamIdByName(t.team, league);
+    const today = await leagueToday({ ...league, timezone: state.params.timezone });
+    const [roster, transactions] = await Promise.all([
+      fetchRoster(t.teamId, { rosterType: state.params.rosterType || DEFAULT_ROSTER_TYPE, season: league.season }),
+      fetchTransactions(t.teamId, addDays(today, -TRANSACTION_LOOKBACK_DAYS), today),
+    ]);
+    const snapshot = rosterSnapshot(roster);
+    const moves = transactionEvents(transactions, t.seenTransactions, t.team);
+    if (t.roster) {
+      const { events = ROSTER_EVENT_TYPES, players } = state.params;
+      const wanted = ev => events.includes(ev.type) && rosterEventWanted(ev, players);
+      // A transaction says more than the roster change it causes, so that player's diff is not sent as well
+      const announced = moves.filter(wanted);
+      const explained = new Set(announced.map(ev => Number(ev.personId)));
+      const changes = diffRosters(t.roster, snapshot, t.team).filter(ev => wanted(ev) && !explained.has(ev.personId));
+      for (const ev of [...announced, ...changes]) {
+        alertMove(t, ev);
+        if (!t.fired.includes(ev.type)) t.fired.push(ev.type);
+      }
+    }
+    t.roster = snapshot;
+    t.seenTransactions = [...t.seenTransactions, ...moves.map(ev => ev.key)].slice(-SEEN_TRANSACTIONS_SIZE);
+    t.lastCheckAt = new Date().toISOString();
+  };
+
+  const check = async () => {
+    if (state.stopped || state.paused || state.checking) return;
+    state.checking = true;
+    try {
+      for (const t of state.targets) await checkTeam(t);
+      watcherSucceeded(state);
+    } catch (e) {
+      watcherFailed(state, 'roster', e);
+    } finally {
+      state.checking = false;
+    }
+    if (state.stopped || state.paused) return;
+    const ms = Math.max(ROSTER_MIN_INTERVAL_MIN, Number(state.params.intervalMin) || ROSTER_DEFAULT_INTERVAL_MIN) * 60 * 1000;
+    const nextCheckAt = new Date(Date.now() + ms).toISOString();
+    for (const t of state.targets) t.nextCheckAt = nextCheckAt;
+    clearTimeout(state.timers.get('roster'));
+    state.timers.set('roster', setTimeout(check, ms));
+    persistWatcher(state);
+  };
+
+  state.attach = () => { check(); };
+
+  watchers.set(id, state);
+  if (!state.paused) state.attach();
+  persistWatcher(state);
+  return { id };
+}
+
+function recordDelivery(st, alertId, dest, ev, t, a) {
+  const entry = {
+    at: new Date().toISOString(),
+    destination: destinationLabel(dest),
+    event: ev.type,
+    playerName: t.playerName,
+    gamePk: t.gamePk,
+    ...a,
+  };
+  appendDeliveryHistory(alertId, st.params.owner, dest, a, entry.at);
+  st.deliveries.push(entry);
+  if (st.deliveries.length > DELIVERY_LOG_SIZE) st.deliveries.shift();
+  if (!a.ok && !a.status) log.warn('Delivery failed', { watchId: st.id, destination: entry.destination, attempt: a.attempt, error: a.error });
+  emitWatchEvent(st, { type: 'delivery', ...entry });
+}
+
+function logAlert(st, fields) {
+  const alertId = crypto.randomBytes(8).toString('hex');
+  appendAlertHistory({ kind: 'alert', id: alertId, owner: st.params.owner || null, at: new Date().toISOString(), watchId: st.id, ...fields });
+  return alertId;
+}
+
+// Sends now, holds the message until the recipient's quiet hours are over, or drops it while they've snoozed
+// or opted out of texts
+function notify(st, dest, msg, alertId, ev, t) {
+  const withheld = withheldStatus(dest.prefs);
+  if (withheld) {
+    recordDelivery(st, alertId, dest, ev, t, { status: withheld });
+    return;
+  }
+  const quietMs = quietMsRemaining(dest.prefs?.quietHours);
+  if (quietMs > 0) {
+    holdAlert(dest, st, msg, alertId, Date.now() + quietMs);
+    recordDelivery(st, alertId, dest, ev, t, { status: 'held' });
+    return;
+  }
+  deliver(dest, msg, a => recordDelivery(st, alertId, dest, ev, t, a));
+}
+
+// One alert to every immediate destination that wants this event type
+function alertDestinations(st, ctx, ev, t, alertId, payload) {
+  const firedAt = new Date(payload.at);
+  for (const dest of st.params.destinations) {
+    const prefs = dest.prefs || {};
+    if (prefs.delivery === 'digest' || (prefs.events && !prefs.events.includes(ev.type))) continue;
+    // Rendered per destination: each channel can have its own template, and each recipient their own timezone
+    const time = formatAlertTime(firedAt, recipientTimeZone(prefs, st.params.timezone || SERVER_TZ));
+    const msg = formatAlertText({ ...ctx, time }, { owner: st.params.owner, channel: dest.type });
+    msg.payload = { ...payload, subject: msg.subject, text: msg.text };
+    notify(st, dest, msg, alertId, ev, t);
+  }
+}
+
+function watcherSucceeded(st) {
+  st.consecutiveErrors = 0;
+  st.lastSuccessAt = Date.now();
+}
+
+// Counts a failure in a row for the watcher: escalates once at WATCHER_ESCALATE, stops it at WATCHER_STOP
+function watcherFailed(st, stage, e) {
+  st.consecutiveErrors++;
+  st.lastError = { at: new Date().toISOString(), stage, message: e.message };
+  incMetric('player_alert_watcher_errors_total', { stage });
+  log.error('Watcher error', { watchId: st.id, stage, error: e.message, consecutiveErrors: st.consecutiveErrors });
+  if (st.consecutiveErrors >= WATCHER_STOP) {
+    incMetric('player_alert_watchers_auto_stopped_total');
+    log.error('Stopping watcher after repeated failures', { watchId: st.id, consecutiveErrors: st.consecutiveErrors });
+    stopWatcher(st.id, `Stopped after ${st.consecutiveErrors} failures in a row (last: ${e.message})`);
+  } else if (st.consecutiveErrors === WATCHER_ESCALATE) {
+    escalateWatcher(st);
+  }
+}
+
+// Tells the watcher's listeners and destinations that it has stopped working, once per failure streak
+function escalateWatcher(st) {
+  const { message, stage } = st.lastError;
+  emitWatchEvent(st, { type: 'error', stage, message, consecutiveErrors: st.consecutiveErrors });
+  const players = st.targets.map(t => t.playerName || `the ${t.team} roster`).join(', ');
+  const subject = `Player Alert watcher #${st.id} is failing`;
+  const text =
+    `The watcher for ${players} has failed ${st.consecutiveErrors} times in a row (${stage}: ${message}). ` +
+    `It keeps retrying and will stop after ${WATCHER_STOP} failures.`;
+  const msg = {
+    subject,
+    text,
+    html: emailLayout(subject, `<p>${escapeHtml(text)}</p>`),
+    sms: `${subject}: ${stage} ${message}`,
+    payload: { type: 'watcher_error', watchId: st.id, stage, error: message, consecutiveErrors: st.consecutiveErrors, at: new Date().toISOString() },
+  };
+  // Same rules as alerts: nothing while snoozed or opted out, and held through quiet hours
+  for (const dest of (st.params.destinations || []).filter(d => !withheldStatus(d.prefs))) {
+    const quietMs = quietMsRemaining(dest.prefs?.quietHours);
+    if (quietMs > 0) {
+      holdAlert(dest, st, msg, null, Date.now() + quietMs);
+      continue;
+    }
+    deliver(dest, msg, a => {
+      if (!a.ok) log.warn('Escalation delivery failed', { watchId: st.id, destination: destinationLabel(dest), attempt: a.attempt, error: a.error });
+    });
+  }
+}
+
+// Paused watchers keep their place but stop polling and alerting until resumed
+function pauseWatcher(id) {
+  const st = watchers.get(id);
+  if (!st || st.paused) return false;
+  st.paused = true;
+  for (const t of st.targets) if (t.gamePk) unsubscribeGame(t.gamePk, id);
+  for (const timer of st.timers.values()) clearTimeout(timer);
+  st.timers.clear();
+  persistWatcher(st);
+  emitWatchEvent(st, { type: 'paused' });
+  return true;
+}
+
+function resumeWatcher(id) {
+  const st = watchers.get(id);
+  if (!st || !st.paused) return false;
+  st.paused = false;
+  // Plays from while it was paused are recorded as seen, not alerted hours late
+  for (const t of st.targets) t.primed = false;
+  st.attach();
+  persistWatcher(st);
+  emitWatchEvent(st, { type: 'resumed' });
+  return true;
+}
+
+// Applies validated { events, cooldownSec, stopAfterAlert, destinations } to a running watcher
+function updateWatcher(id, changes) {
+  const st = watchers.get(id);
+  if (!st) return false;
+  Object.assign(st.params, changes);
+  persistWatcher(st);
+  emitWatchEvent(st, { type: 'updated', changes: Object.keys(changes) });
+  return true;
+}
+
+function stopWatcher(id, reason = null) {
+  const st = watchers.get(id);
+  if (!st) return false;
+  st.stopped = true;
+  for (const t of st.targets) if (t.gamePk) unsubscribeGame(t.gamePk, id);
+  for (const timer of st.timers.values()) clearTimeout(timer);
+  watchers.delete(id);
+  persistWatcher(st);
+  emitWatchEvent(st, { type: 'stopped', reason });
+  stoppedWatchers.set(id, st);
+  setTimeout(() => stoppedWatchers.delete(id), STOPPED_LOG_TTL).unref();
+  return true;
+}
+
+// Resume every watcher that was running when the process last exited.
+// Stopped watchers and those with nothing left to watch are dropped from the store.
+function restoreWatchers() {
+  const { watchers: saved } = loadWatchStore();
+  const ids = Object.keys(saved);
+  watchStore.nextWatchId = Math.max(watchStore.nextWatchId, ...ids.map(Number).filter(Number.isFinite).map(n => n + 1), 1);
+
+  let resumed = 0;
+  for (const id of ids) {
+    const rec = saved[id];
+    if (rec.params?.kind === 'roster') {
+      if (rec.stopped) delete saved[id];
+      else { startRosterWatcher(rec.params, rec); resumed++; }
+      continue;
+    }
+    // Records written before multi-player watchers kept a single player on params
+    const targets = rec.targets || (rec.params?.playerName ? [{
+      playerName: rec.params.playerName,
+      team: rec.params.team,
+      gamePk: rec.params.gamePk,
+      lastInGame: rec.lastInGame,
+      lastAlertAt: rec.lastAlertAt,
+      lastState: rec.lastState,
+    }] : []);
+    const finished = targets.every(t => t.done || t.alerted || (!t.follow && isFinalState(t.lastState)));
+    // Replays are rehearsals; their clock doesn't survive a restart
+    const replay = targets.some(t => String(t.gamePk).startsWith(REPLAY_PREFIX));
+    if (rec.stopped || finished || replay) {
+      delete saved[id];
+      continue;
+    }
+    startAdaptiveWatcher(rec.params, { ...rec, targets });
+    resumed++;
+  }
+  for (const entry of watchStore.held) scheduleHeldRelease(entry);
+  saveWatchStore();
+  if (resumed) log.info('Resumed watchers', { count: resumed, store: watchStorePath });
+  if (watchStore.held.length) log.info('Holding alerts for recipients in quiet hours', { recipients: watchStore.held.length });
+}
+
+// Last date a follow-mode watcher covers: an explicit date, "season" for the league's season end,
+// or FOLLOW_DEFAULT_DAYS from the start date
+async function followUntil(until, fromDate, league) {
+  if (until && until !== 'season') return until;
+  if (until === 'season') {
+    try {
+      const info = await fetchSeasonInfo(league.sportId);
+      const end = info.postSeasonEndDate || info.seasonEndDate || info.regularSeasonEndDate;
+      if (end) return end;
+    } catch (e) { /* fall through to the default window */ }
+  }
+  return addDays(fromDate, FOLLOW_DEFAULT_DAYS);
+}
+
+// Accepts players as names, person IDs or { playerName, personId, team, gamePk } objects;
+// falls back to a single playerName/personId
+function normalizePlayers(players, playerName, personId) {
+  const single = playerName || personId ? [{ playerName, personId }] : [];
+  const list = Array.isArray(players) ? players : single;
+  return list
+    .map(p => (typeof p === 'string' ? { playerName: p } : typeof p === 'number' ? { personId: p } : (p || {})))
+    .map(p => ({ ...p, playerName: (p.playerName || '').trim(), personId: p.personId ? Number(p.personId) : null }))
+    .filter(p => p.playerName || p.personId);
+}
+
+// `allowed` is ROSTER_EVENT_TYPES for roster watchers
+function watchOptionsError({ events, cooldownSec }, allowed = EVENT_TYPES) {
+  if (events !== undefined) {
+    const list = [].concat(events);
+    if (!list.length || list.some(e => !allowed.includes(e))) return `events must be a non-empty list of: ${allowed.join(', ')}`;
+  }
+  if (cooldownSec !== undefined && !(Number(cooldownSec) >= 0)) return 'cooldownSec must be a number of seconds';
+  return null;
+}
+
+// Watchers started before accounts existed belong to the first account created
+function adoptUnownedWatchers(userId) {
+  for (const rec of Object.values(watchStore.watchers)) {
+    if (!rec.params.owner) rec.params.owner = userId;
+  }
+  for (const w of watchers.values()) {
+    if (!w.params.owner) w.params.owner = userId;
+  }
+  saveWatchStore();
+}
+
+module.exports = {
+  WATCHER_ESCALATE,
+  ROSTER_DEFAULT_INTERVAL_MIN,
+  ROSTER_MIN_INTERVAL_MIN,
+  watchers,
+  stoppedWatchers,
+  watchEvents,
+  startAdaptiveWatcher,
+  startRosterWatcher,
+  pauseWatcher,
+  resumeWatcher,
+  updateWatcher,
+  stopWatcher,
+  restoreWatchers,
+  followUntil,
+  normalizePlayers,
+  watchOptionsError,
+  adoptUnownedWatchers,
+};
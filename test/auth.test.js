@@ -0,0 +1,55 @@
+// Sign-up, login and the login throttle
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { mock } = require('node:test');
+const { listen, signUp } = require('./helpers');
+const { createApp } = require('../lib/app');
+
+process.env.ALLOW_SIGNUP = '1';
+
+let client;
+
+test.before(async () => {
+  client = await listen(createApp());
+  await signUp(client);
+  await signUp(client, 'rival');
+});
+test.after(() => client.close());
+
+const login = (username, password) => client.request('POST', '/api/auth/login', { body: { username, password } });
+
+test('login checks the password, and hashes one for unknown users too', async () => {
+  const ok = await login('Scout', 'correct horse');
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.user.username, 'scout');
+  assert.equal((await client.request('GET', '/api/auth/me', { token: ok.body.token })).status, 200);
+
+  assert.equal((await login('scout', 'wrong horse')).status, 401);
+  const scrypt = mock.method(crypto, 'scrypt');
+  const res = await login('nobody', 'correct horse');
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'Invalid username or password');
+  assert.equal(scrypt.mock.callCount(), 1);
+  scrypt.mock.restore();
+});
+
+test('too many attempts on one username are refused for a while', async () => {
+  let res;
+  for (let i = 0; i < 12 && res?.status !== 429; i++) res = await login('rival', 'wrong horse');
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers['retry-after']) > 0);
+  // Even the right password, until the window passes; other accounts are unaffected
+  assert.equal((await login('rival', 'correct horse')).status, 429);
+  assert.equal((await login('scout', 'correct horse')).status, 200);
+});
+
+test('a token in the query string only works for the event stream', async () => {
+  const { body: { token } } = await login('scout', 'correct horse');
+  const qs = new URLSearchParams({ access_token: token });
+  assert.equal((await client.request('GET', `/api/auth/me?${qs}`)).status, 401);
+  assert.equal((await client.request('POST', `/api/watch/stop?${qs}`, { body: { id: '1' } })).status, 401);
+  // Authenticated, so the stream's own 404 for a watcher that doesn't exist
+  assert.equal((await client.request('GET', `/api/watch/999/events?${qs}`)).status, 404);
+  assert.equal((await client.request('GET', '/api/watch/999/events?access_token=nope')).status, 401);
+});
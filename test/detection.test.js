@@ -0,0 +1,120 @@
+// Player detection and game summaries over recorded live feeds
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fixture } = require('./helpers');
+const {
+  playerAppearedFromBoxscore,
+  playerAppearedFromPlays,
+  findPlayerInBoxscore,
+  detectPlayEvents,
+  statusFromFeed,
+  battingSpot,
+  boxscoreLine,
+  gameSummaryFromFeed,
+  liveGameSummary,
+} = require('../lib/detection');
+
+const live = fixture('feed-live-777001');
+const pregame = fixture('feed-live-777001-pregame');
+const teams = live.liveData.boxscore.teams;
+const allPlays = live.liveData.plays.allPlays;
+
+test('findPlayerInBoxscore matches by person ID or loosely by name', () => {
+  assert.equal(findPlayerInBoxscore(teams, { personId: 692002 }).side, 'away');
+  const { side, match } = findPlayerInBoxscore(teams, { playerName: '  cade DOUGHTY ' });
+  assert.equal(side, 'home');
+  assert.equal(match.person.id, 691001);
+  assert.deepEqual(findPlayerInBoxscore(teams, { playerName: 'Nobody Here' }), { side: null, match: null });
+});
+
+test('playerAppearedFromBoxscore counts a lineup spot or any stats, not a bench player', () => {
+  assert.equal(playerAppearedFromBoxscore(teams.home.players.ID691001), true);
+  assert.equal(playerAppearedFromBoxscore(teams.away.players.ID692001), true);
+  assert.equal(playerAppearedFromBoxscore(teams.home.players.ID691020), false);
+  // A reliever who has just come in has no pitching line yet
+  assert.equal(playerAppearedFromBoxscore(teams.away.players.ID692002), false);
+  assert.equal(playerAppearedFromBoxscore(null), false);
+});
+
+test('playerAppearedFromPlays finds batters, pitchers, substitutes and fielders credited on a play', () => {
+  assert.equal(playerAppearedFromPlays(allPlays, 692002), true);
+  assert.equal(playerAppearedFromPlays(allPlays, '691004'), true);
+  assert.equal(playerAppearedFromPlays(allPlays, 691020), false);
+  assert.equal(playerAppearedFromPlays([], 691001), false);
+});
+
+test('statusFromFeed reads one player out of the feed', () => {
+  assert.deepEqual(statusFromFeed(live, { playerName: 'Cade Doughty' }), {
+    personId: 691001,
+    fullName: 'Cade Doughty',
+    inGame: true,
+    side: 'home',
+    battingOrder: '300',
+    position: '2B',
+    rawGameState: 'In Progress',
+  });
+  assert.equal(statusFromFeed(live, { personId: 692002 }).inGame, true);
+  assert.equal(statusFromFeed(live, { personId: 691020 }).inGame, false);
+  assert.equal(statusFromFeed(pregame, { playerName: 'Cade Doughty' }).inGame, false);
+  // Not on either roster: the ID is kept, everything else is empty
+  assert.deepEqual(statusFromFeed(live, { personId: 123 }), {
+    personId: 123, fullName: null, inGame: false, side: null, battingOrder: null, position: null, rawGameState: 'In Progress',
+  });
+});
+
+test('detectPlayEvents keys each event so a replayed play is recognised', () => {
+  const types = id => detectPlayEvents(allPlays, id).map(e => e.key);
+  assert.deepEqual(types(691001), ['atBat:1', 'atBat:2', 'homeRun:2']);
+  assert.deepEqual(types(692001), ['pitching', 'removed:3:0']);
+  assert.deepEqual(types(692002), ['pitching']);
+  assert.deepEqual(types(692010), ['atBat:0', 'positionChange:3:1']);
+  assert.deepEqual(detectPlayEvents(allPlays, null), []);
+
+  const homer = detectPlayEvents(allPlays, 691001).find(e => e.type === 'homeRun');
+  assert.equal(homer.inning, 'Bot 3');
+  assert.match(homer.detail, /homers \(3\)/);
+  const moved = detectPlayEvents(allPlays, 692010).find(e => e.type === 'positionChange');
+  assert.equal(moved.position, 'LF');
+  assert.equal(detectPlayEvents(allPlays, 692002)[0].detail, 'facing Marco Ruiz');
+});
+
+test('battingSpot and boxscoreLine format lineup spots and stat lines', () => {
+  assert.equal(battingSpot('300'), '3rd');
+  assert.equal(battingSpot('401'), '4th (sub)');
+  assert.equal(battingSpot('100'), '1st');
+  assert.equal(battingSpot(null), null);
+  assert.equal(boxscoreLine(teams.home.players.ID691001), '2-2, HR, 2 RBI, R');
+  assert.equal(boxscoreLine(teams.away.players.ID692001), '4.2 IP, 5 H, 3 ER, 1 BB, 4 K');
+  assert.equal(boxscoreLine(teams.home.players.ID691020), null);
+});
+
+test('gameSummaryFromFeed gives teams, score and inning', () => {
+  assert.deepEqual(gameSummaryFromFeed('777001', live), {
+    gamePk: '777001',
+    away: 'Scottsdale Scorpions',
+    home: 'Glendale Desert Dogs',
+    score: '2-3',
+    awayScore: 2,
+    homeScore: 3,
+    inning: 'Bottom 5',
+    rawGameState: 'In Progress',
+  });
+  assert.equal(gameSummaryFromFeed('777001', pregame).inning, null);
+});
+
+test('liveGameSummary builds the game card, with the watched player when given', () => {
+  const summary = liveGameSummary('777001', live, { playerName: 'Cade Doughty' });
+  assert.equal(summary.venue, 'Camelback Ranch');
+  assert.deepEqual(summary.count, { balls: 1, strikes: 0, outs: 2 });
+  assert.deepEqual(summary.runners, { first: true, second: false, third: false });
+  assert.equal(summary.innings.length, 5);
+  assert.deepEqual(summary.matchup.batter, { personId: 691003, name: 'Marco Ruiz', line: '0-1, R' });
+  assert.equal(summary.matchup.pitcher.name, 'Eli Santos');
+  assert.equal(summary.matchup.onDeck.name, 'Luis Vega');
+  assert.deepEqual(summary.lineups.home.map(p => p.name), ['Cade Doughty', 'Marco Ruiz', 'Luis Vega']);
+  assert.equal(summary.player.lineupSlot, '3rd');
+  assert.equal(summary.player.line, '2-2, HR, 2 RBI, R');
+
+  assert.equal(liveGameSummary('777001', live, {}).player, null);
+  assert.equal(liveGameSummary('777001', pregame, { personId: 691001 }).count, null);
+});
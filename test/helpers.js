@@ -0,0 +1,131 @@
+// test/helpers.js
+// Shared by the test files. Requiring it points every store at a fresh temp directory, so it must be
+// required before anything under lib/.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { before, after, mock } = require('node:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'player-alert-test-'));
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+Object.assign(process.env, {
+  USERS_STORE: path.join(dataDir, 'users.json'),
+  WATCH_STORE: path.join(dataDir, 'watchers.json'),
+  ALERTS_LOG: path.join(dataDir, 'alerts.jsonl'),
+  TEMPLATES_STORE: path.join(dataDir, 'templates.json'),
+  VAPID_KEYS_STORE: path.join(dataDir, 'vapid.json'),
+  FIXTURES_DIR: path.join(dataDir, 'fixtures'),
+  LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+});
+
+const STATSAPI = 'https://statsapi.mlb.com/api';
+
+// A recorded statsapi payload from test/fixtures/statsapi, fresh on every call
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'statsapi', `${name}.json`), 'utf8'));
+}
+
+// The error axios throws for an HTTP error status
+function statsError(status, message = `Request failed with status code ${status}`) {
+  return Object.assign(new Error(message), { response: { status, headers: {}, data: { message } } });
+}
+
+// An axios-like client for setHttpClient()/createApp({ http }). `routes` maps a statsapi path to a payload,
+// a function (params) => payload, or an Error to throw; any other path fails like statsapi's 404.
+function fakeStatsapi(routes = {}) {
+  const calls = [];
+  return {
+    calls,
+    async get(url, { params } = {}) {
+      const pathname = url.replace(STATSAPI, '');
+      calls.push({ path: pathname, params });
+      if (!(pathname in routes)) throw statsError(404, `Object not found: ${pathname}`);
+      const route = routes[pathname];
+      const data = typeof route === 'function' ? route(params) : route;
+      if (data instanceof Error) throw data;
+      return { status: 200, data };
+    },
+  };
+}
+
+// Listens on a free port and sends JSON requests to it, or a `raw` body with its own headers (webhooks).
+// Uses node:http rather than fetch so tests can mock timers without stalling the client.
+async function listen(app) {
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const { port } = server.address();
+
+  const request = (method, pathname, { token, body, raw, headers: extra = {} } = {}) => new Promise((resolve, reject) => {
+    const payload = raw ?? (body === undefined ? null : JSON.stringify(body));
+    const headers = { ...extra };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (raw !== undefined) headers['Content-Length'] = Buffer.byteLength(raw);
+    else if (payload) Object.assign(headers, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) });
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers, agent: false }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try { json = JSON.parse(text); } catch (e) { /* not JSON */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: json, text });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  return {
+    port,
+    request,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+// Registers a user on a fresh app (the first account needs no sign-up switch) and returns its session token
+async function signUp(client, username = 'scout') {
+  const { status, body } = await client.request('POST', '/api/auth/register', { body: { username, password: 'correct horse' } });
+  if (status !== 201) throw new Error(`register failed: ${status} ${JSON.stringify(body)}`);
+  return body.token;
+}
+
+// Lets pending promise callbacks and I/O run, e.g. after advancing mocked timers
+async function settle(rounds = 10) {
+  for (let i = 0; i < rounds; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+// The setup the watcher tests share: an app from createApp(`options`) with a signed-up user, setTimeout mocked
+// so advance() drives the pollers, and every watcher stopped once the file's tests are done. `client` and
+// `token` are set when the before hook runs; api() calls as that user unless given another token.
+function watchHarness(options) {
+  const harness = {
+    client: null,
+    token: null,
+    api: (method, pathname, body, as = harness.token) => harness.client.request(method, pathname, { token: as, body }),
+    watcher: async id => (await harness.api('GET', '/api/watch')).body.watchers.find(w => w.id === id),
+    // Runs the poller ticks due in the next `ms` and lets their feed reads and deliveries finish
+    async advance(ms) {
+      mock.timers.tick(ms);
+      await settle();
+    },
+  };
+
+  before(async () => {
+    // Not at the top: lib/ must load after the store paths above are set
+    const { createApp } = require('../lib/app');
+    harness.client = await listen(createApp(options));
+    harness.token = await signUp(harness.client);
+    mock.timers.enable({ apis: ['setTimeout'] });
+  });
+  after(async () => {
+    const { body } = await harness.api('GET', '/api/watch');
+    for (const w of body.watchers) await harness.api('POST', '/api/watch/stop', { id: w.id });
+    mock.timers.reset();
+    await harness.client.close();
+  });
+  return harness;
+}
+
+module.exports = { STATSAPI, fixture, statsError, fakeStatsapi, listen, signUp, settle, watchHarness };
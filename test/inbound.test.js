@@ -0,0 +1,239 @@
+// Replies to alerts: the command parser, and the Twilio/SendGrid webhooks with locally signed requests
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const twilio = require('twilio');
+const { fixture, fakeStatsapi, settle, watchHarness } = require('./helpers');
+const { parseCommand, isSender, emailAuthenticated } = require('../lib/inbound');
+
+process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+process.env.INBOUND_EMAIL_SECRET = 'test-inbound-secret';
+const PHONE = '+15555550100';
+
+const statsapi = fakeStatsapi({
+  '/v1/seasons': fixture('seasons'),
+  '/v1/teams': fixture('teams'),
+  '/v1/schedule': fixture('schedule-5101'),
+  '/v1.1/game/777001/feed/live': fixture('feed-live-777001'),
+  '/v1.1/game/777001/feed/live/diffPatch': fixture('feed-live-777001'),
+});
+const sent = [];
+const texts = [];
+const mail = async msg => { sent.push(msg); };
+const sms = async (to, body) => { texts.push({ to, body }); };
+
+const harness = watchHarness({ http: statsapi, transports: { mail, sms } });
+const { api, watcher, advance } = harness;
+
+// What Twilio posts for an incoming text, signed with the account's auth token unless `signature` is given
+async function textIn(from, body, signature = null) {
+  const params = { MessageSid: 'SM123', From: from, To: '+15555550199', Body: body };
+  const url = `http://127.0.0.1:${harness.client.port}/api/inbound/sms`;
+  const res = await harness.client.request('POST', '/api/inbound/sms', {
+    raw: new URLSearchParams(params).toString(),
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': signature ?? twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, url, params),
+    },
+  });
+  res.reply = /<Message>([\s\S]*)<\/Message>/.exec(res.text)?.[1].replace(/&amp;/g, '&').replace(/&apos;/g, "'");
+  return res;
+}
+
+// What SendGrid Inbound Parse posts for an incoming email, by default one that passed SPF and DKIM
+async function emailIn(fields, secret = process.env.INBOUND_EMAIL_SECRET) {
+  const form = new FormData();
+  const checks = { SPF: 'pass', dkim: '{@example.com : pass}', envelope: JSON.stringify({ from: 'scout@example.com', to: ['alerts@example.com'] }) };
+  for (const [name, value] of Object.entries({ ...checks, ...fields })) form.append(name, value);
+  form.append('attachment1', new Blob(['not read']), 'card.txt');
+  const encoded = new Response(form);
+  return harness.client.request('POST', '/api/inbound/email', {
+    raw: Buffer.from(await encoded.arrayBuffer()),
+    headers: {
+      'Content-Type': encoded.headers.get('content-type'),
+      Authorization: `Basic ${Buffer.from(`inbound:${secret}`).toString('base64')}`,
+    },
+  });
+}
+
+test('parseCommand reads the first line of a reply', () => {
+  assert.deepEqual(parseCommand('stop'), { name: 'optOut' });
+  assert.deepEqual(parseCommand('Start'), { name: 'optIn' });
+  assert.deepEqual(parseCommand('UNSTOP'), { name: 'optIn' });
+  assert.deepEqual(parseCommand('leave'), { name: 'leave', watchId: null });
+  assert.deepEqual(parseCommand('LEAVE #12'), { name: 'leave', watchId: '12' });
+  assert.deepEqual(parseCommand('STOP #12'), { name: 'leave', watchId: '12' });
+  assert.deepEqual(parseCommand('Snooze'), { name: 'snooze', minutes: 30, watchId: null });
+  assert.deepEqual(parseCommand('SNOOZE 90 #3'), { name: 'snooze', minutes: 90, watchId: '3' });
+  assert.match(parseCommand('SNOOZE forever').error, /SNOOZE takes minutes/);
+  assert.deepEqual(parseCommand('\n  status\n\nOn Tue, Player Alert wrote:\n> ALERT'), { name: 'status' });
+  assert.deepEqual(parseCommand('WATCH Eli Santos @ Scorpions'), { name: 'watch', playerName: 'Eli Santos', team: 'Scorpions' });
+  assert.match(parseCommand('WATCH').error, /WATCH needs a player/);
+  assert.deepEqual(parseCommand('help'), { name: 'help' });
+  assert.match(parseCommand('hello there').error, /Unknown command "hello"/);
+});
+
+test('isSender matches phone digits and email addresses', () => {
+  assert.equal(isSender({ type: 'sms', to: PHONE }, { channel: 'sms', from: '+1 (555) 555-0100' }), true);
+  assert.equal(isSender({ type: 'sms', to: PHONE }, { channel: 'email', from: PHONE }), false);
+  assert.equal(isSender({ type: 'email', to: 'Scout@Example.com' }, { channel: 'email', from: 'Scout <scout@example.com>' }), true);
+  assert.equal(isSender({ type: 'email', to: 'scout@example.com' }, { channel: 'email', from: 'rival@example.com' }), false);
+});
+
+test('emailAuthenticated needs SPF or DKIM to vouch for the From domain', () => {
+  const from = 'Scout <scout@example.com>';
+  const envelope = JSON.stringify({ from: 'bounces@example.com' });
+  assert.equal(emailAuthenticated({ from, SPF: 'pass', envelope }), true);
+  assert.equal(emailAuthenticated({ from, SPF: 'pass', envelope: JSON.stringify({ from: 'x@attacker.test' }) }), false);
+  assert.equal(emailAuthenticated({ from, SPF: 'pass', envelope: JSON.stringify({ from: 'x@mail.example.com' }) }), false);
+  assert.equal(emailAuthenticated({ from, SPF: 'softfail', dkim: '{@attacker.test : pass, @example.com : fail}' }), false);
+  assert.equal(emailAuthenticated({ from, SPF: 'none', dkim: '{@attacker.test : pass, @example.com : pass}' }), true);
+  assert.equal(emailAuthenticated({ from: 'scout@example.com.attacker.test', dkim: '{@example.com : pass}' }), false);
+});
+
+test('webhooks reject unsigned requests and unknown senders get no control', async () => {
+  assert.equal((await textIn(PHONE, 'STOP', 'forged')).status, 403);
+  assert.equal((await emailIn({ from: 'scout@example.com', text: 'STOP' }, 'wrong')).status, 403);
+  const res = await textIn('+15555550111', 'STATUS');
+  assert.equal(res.status, 200);
+  assert.match(res.headers['content-type'], /text\/xml/);
+  assert.equal(res.reply, "You aren't getting any Player Alert alerts right now.");
+});
+
+test('SNOOZE drops alerts to the sender and keeps the other destinations', async () => {
+  const { body: { id } } = await api('POST', '/api/watch/start', {
+    playerName: 'Cade Doughty', simulate: true, smsTo: PHONE, emailTo: 'scout@example.com',
+  });
+  const res = await textIn(PHONE, 'snooze 30');
+  assert.match(res.reply, new RegExp(`^Snoozed #${id} until .+\\. Reply RESUME to undo\\.$`));
+
+  // The simulated game's first read fires 'entered'
+  await advance(0);
+  assert.equal(texts.length, 0);
+  assert.equal(sent.length, 1);
+  const { body } = await api('GET', '/api/alerts');
+  assert.deepEqual(body.alerts[0].deliveries.map(d => [d.destination, d.status]).sort(), [
+    ['email:scout@example.com', 'sent'], [`sms:${PHONE}`, 'snoozed'],
+  ]);
+});
+
+test('STATUS, WATCH and LEAVE act on the watchers that alert the sender', async () => {
+  const { body: { id } } = await api('POST', '/api/watch/start', {
+    playerName: 'Cade Doughty', gamePk: 777001, events: ['homeRun'], smsTo: PHONE, emailTo: 'scout@example.com',
+  });
+  await advance(0);
+  assert.equal((await textIn(PHONE, 'STATUS')).reply, `#${id} Cade Doughty: homeRun`);
+
+  const watched = await textIn(PHONE, 'WATCH Eli Santos');
+  const [, newId] = /as #(\d+)\./.exec(watched.reply);
+  assert.match(watched.reply, /^Watching Eli Santos \(Glendale Desert Dogs\) through \d{4}-\d{2}-\d{2}/);
+  const follow = await watcher(newId);
+  assert.deepEqual(follow.destinations, [`sms:${PHONE}`]);
+  assert.deepEqual(follow.events, ['entered']);
+  assert.equal(follow.targets[0].playerName, 'Eli Santos');
+
+  // Leaving from one channel keeps the other; the last one out stops the watcher
+  assert.equal((await textIn(PHONE, `LEAVE #${id}`)).reply, `Stopped alerts from #${id} (Cade Doughty).`);
+  assert.deepEqual((await watcher(id)).destinations, ['email:scout@example.com']);
+  assert.ok(await watcher(newId));
+
+  const before = sent.length;
+  const res = await emailIn({ from: 'Scout <scout@example.com>', to: 'alerts@example.com', subject: 'ALERT: Cade Doughty', text: 'stop\n\n> ALERT' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.reply, `Stopped alerts from #${id} (Cade Doughty).`);
+  assert.equal(await watcher(id), undefined);
+  await settle();
+  assert.equal(sent[before].to, 'scout@example.com');
+  assert.equal(sent[before].subject, 'Re: ALERT: Cade Doughty');
+  assert.match(sent[before].text, /Stopped alerts/);
+});
+
+test('a forged From that fails SPF and DKIM changes nothing and gets no reply', async () => {
+  const { body: { id } } = await api('POST', '/api/watch/start', {
+    playerName: 'Cade Doughty', gamePk: 777001, events: ['homeRun'], emailTo: 'scout@example.com',
+  });
+  const before = sent.length;
+  const running = (await api('GET', '/api/watch')).body.watchers.length;
+  for (const text of ['STOP', 'SNOOZE 60', 'STATUS', 'WATCH Eli Santos']) {
+    const res = await emailIn({
+      from: 'Scout <scout@example.com>', subject: 'hi', text,
+      SPF: 'fail', dkim: '{@attacker.test : pass}', envelope: JSON.stringify({ from: 'x@attacker.test' }),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, false);
+  }
+  const w = await watcher(id);
+  assert.deepEqual(w.destinations, ['email:scout@example.com']);
+  assert.equal((await api('GET', '/api/watch')).body.watchers.length, running);
+  assert.equal(require('../lib/watchers').watchers.get(id).params.destinations[0].prefs.snoozeUntil, undefined);
+
+  // Nor does a verified sender that no watcher alerts get mail back
+  const res = await emailIn({ from: 'stranger@example.com', text: 'STATUS', envelope: JSON.stringify({ from: 'stranger@example.com' }) });
+  assert.equal(res.body.ignored, 'Sender is not on any watcher');
+  await settle();
+  assert.equal(sent.length, before);
+  await api('POST', '/api/watch/stop', { id });
+});
+
+test("a bare STOP opts the number out of every watcher's texts until START", async () => {
+  const { body: { id } } = await api('POST', '/api/watch/start', {
+    playerName: 'Cade Doughty', simulate: true, smsTo: PHONE, emailTo: 'scout@example.com',
+  });
+  const { body: { id: other } } = await api('POST', '/api/watch/start', {
+    playerName: 'Marco Ruiz', gamePk: 777001, events: ['homeRun'], smsTo: PHONE,
+  });
+  assert.match((await textIn(PHONE, 'STOP')).reply, /Reply START/);
+  // Both watchers keep running and keep the number, so START can bring it back
+  assert.deepEqual((await watcher(other)).destinations, [`sms:${PHONE}`]);
+  assert.match((await textIn(PHONE, 'STATUS')).reply, new RegExp(`#${other} Marco Ruiz: homeRun, opted out`));
+
+  const textsBefore = texts.length;
+  await advance(0);
+  assert.equal(texts.length, textsBefore);
+  const { body } = await api('GET', '/api/alerts');
+  assert.equal(body.alerts[0].watchId, id);
+  assert.deepEqual(body.alerts[0].deliveries.map(d => [d.destination, d.status]).sort(), [
+    ['email:scout@example.com', 'sent'], [`sms:${PHONE}`, 'opted-out'],
+  ]);
+
+  assert.match((await textIn(PHONE, 'START')).reply, new RegExp(`^Alerts are back on for #${other}\\b`));
+  assert.equal((await textIn(PHONE, 'STATUS')).reply.includes('opted out'), false);
+  await api('POST', '/api/watch/stop', { id: other });
+});
+
+test('a STOP texted while alerts are held drops them, even once the watcher has stopped', async () => {
+  // Quiet hours run from an hour ago to an hour from now
+  const hhmm = offsetMs => new Date(Date.now() + offsetMs).toISOString().slice(11, 16);
+  const quietHours = { start: hhmm(-3600000), end: hhmm(3600000), timezone: 'UTC' };
+  const { body: { id } } = await api('POST', '/api/watch/start', {
+    playerName: 'Cade Doughty', simulate: true,
+    recipients: [{ name: 'Scout', channels: [{ type: 'sms', to: PHONE }], quietHours }],
+  });
+  await advance(0);
+  await api('POST', '/api/watch/stop', { id });
+  assert.equal((await harness.client.request('GET', '/api/health')).body.heldAlerts, 1);
+
+  assert.match((await textIn(PHONE, 'STOP')).reply, /Reply START/);
+  const textsBefore = texts.length;
+  await advance(2 * 3600000);
+  assert.equal(texts.length, textsBefore);
+  assert.equal((await harness.client.request('GET', '/api/health')).body.heldAlerts, 0);
+  const { body } = await api('GET', '/api/alerts');
+  assert.equal(body.alerts[0].watchId, id);
+  assert.deepEqual(body.alerts[0].deliveries.map(d => d.status).sort(), ['held', 'opted-out']);
+});
+
+// Last: it uses up the user's watch starts for the hour
+test('watchers started by WATCH replies count against the watch-start limit', async () => {
+  await api('POST', '/api/watch/start', { playerName: 'Cade Doughty', gamePk: 777001, events: ['homeRun'], smsTo: PHONE });
+  let started = 0;
+  let reply;
+  for (let i = 0; i < 30; i++) {
+    reply = (await textIn(PHONE, 'WATCH Eli Santos')).reply;
+    if (!reply.startsWith('Watching')) break;
+    started++;
+  }
+  assert.ok(started > 0 && started < 30);
+  assert.match(reply, /^Too many watchers started lately; try again in \d+ min\.$/);
+  const res = await api('POST', '/api/watch/start', { playerName: 'Cade Doughty', gamePk: 777001 });
+  assert.equal(res.status, 429);
+});
@@ -0,0 +1,90 @@
+// GET /api/playerStatus against recorded feeds
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fixture, statsError, fakeStatsapi, listen, signUp } = require('./helpers');
+const { createApp } = require('../lib/app');
+
+const statsapi = fakeStatsapi({
+  '/v1.1/game/777001/feed/live': fixture('feed-live-777001'),
+  '/v1.1/game/777003/feed/live': statsError(404, 'Object not found'),
+});
+let client;
+let token;
+
+test.before(async () => {
+  client = await listen(createApp({ http: statsapi }));
+  token = await signUp(client);
+});
+test.after(() => client.close());
+
+const status = query => client.request('GET', `/api/playerStatus?${new URLSearchParams(query)}`, { token });
+
+test('needs a signed-in user', async () => {
+  const res = await client.request('GET', '/api/playerStatus?gamePk=777001&playerName=Cade%20Doughty');
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, 'UNAUTHENTICATED');
+});
+
+test('needs a game and a player', async () => {
+  assert.equal((await status({ gamePk: '777001' })).status, 400);
+  assert.equal((await status({ playerName: 'Cade Doughty' })).status, 400);
+});
+
+test('reports a player who is in the game', async () => {
+  const res = await status({ gamePk: '777001', playerName: 'Cade Doughty', team: 'Desert Dogs' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, {
+    player: 'Cade Doughty',
+    personId: 691001,
+    inGame: true,
+    side: 'home',
+    battingOrder: '300',
+    position: '2B',
+    rawGameState: 'In Progress',
+  });
+});
+
+test('looks players up by person ID, including relievers only seen in the plays', async () => {
+  const res = await status({ gamePk: '777001', personId: '692002' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.player, 'Eli Santos');
+  assert.equal(res.body.inGame, true);
+  assert.equal(res.body.side, 'away');
+});
+
+test('reports a bench player as not in the game', async () => {
+  const res = await status({ gamePk: '777001', playerName: 'Jalen Brooks' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.inGame, false);
+  assert.equal(res.body.position, 'C');
+});
+
+test('TEAM_MISMATCH when the team is not playing in the game', async () => {
+  const res = await status({ gamePk: '777001', playerName: 'Cade Doughty', team: 'Salt River Rafters' });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'TEAM_MISMATCH');
+  assert.deepEqual(res.body.gameTeams, { home: 'Glendale Desert Dogs', away: 'Scottsdale Scorpions' });
+});
+
+test('PLAYER_NOT_IN_GAME when neither roster lists the player', async () => {
+  const res = await status({ gamePk: '777001', playerName: 'Nobody Here' });
+  assert.equal(res.status, 404);
+  assert.equal(res.body.code, 'PLAYER_NOT_IN_GAME');
+  assert.equal(res.body.rawGameState, 'In Progress');
+  assert.match(res.body.error, /gamePk 777001/);
+});
+
+test('passes statsapi errors through', async () => {
+  const res = await status({ gamePk: '777003', playerName: 'Cade Doughty' });
+  assert.equal(res.status, 404);
+  assert.equal(res.body.error, 'Object not found');
+});
+
+test('simulate=1 answers without statsapi', async () => {
+  const before = statsapi.calls.length;
+  const res = await status({ simulate: '1', playerName: 'Cade Doughty' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.simulated, true);
+  assert.equal(res.body.player, 'Cade Doughty');
+  assert.equal(statsapi.calls.length, before);
+});
@@ -0,0 +1,130 @@
+// Roster snapshots and diffs, and /api/watch/roster with mocked timers and a fake mail sender
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fixture, fakeStatsapi, watchHarness } = require('./helpers');
+const { rosterSnapshot, diffRosters, transactionEvents, rosterEventWanted } = require('../lib/rosters');
+
+// What statsapi serves for the Desert Dogs right now
+let roster = fixture('roster-5101');
+let transactions = fixture('transactions-5101');
+const statsapi = fakeStatsapi({
+  '/v1/seasons': fixture('seasons'),
+  '/v1/teams': fixture('teams'),
+  '/v1/teams/5101/roster': () => roster,
+  '/v1/transactions': () => transactions,
+});
+const sent = [];
+const mail = async msg => { sent.push(msg); };
+
+const harness = watchHarness({ http: statsapi, transports: { mail } });
+const { api, watcher, advance } = harness;
+
+// The recorded roster after Brady Cole goes on the IL, Jalen Brooks leaves and Kai Mercer joins
+function movedRoster() {
+  const next = fixture('roster-5101');
+  next.roster.find(r => r.person.id === 691010).status = { code: 'D10', description: 'Injured 10-Day' };
+  next.roster = next.roster.filter(r => r.person.id !== 691020);
+  next.roster.push({ ...structuredClone(next.roster[0]), person: { id: 691030, fullName: 'Kai Mercer' }, jerseyNumber: '30' });
+  return next;
+}
+
+test('rosterSnapshot and diffRosters report who joined, left or changed status', () => {
+  const before = rosterSnapshot(fixture('roster-5101').roster);
+  assert.deepEqual(before[691010], { fullName: 'Brady Cole', position: 'P', status: 'Active' });
+  const events = diffRosters(before, rosterSnapshot(movedRoster().roster), 'Glendale Desert Dogs');
+  assert.deepEqual(events.map(e => [e.type, e.playerName]), [
+    ['rosterStatus', 'Brady Cole'], ['rosterAdded', 'Kai Mercer'], ['rosterRemoved', 'Jalen Brooks'],
+  ]);
+  assert.equal(events[0].detail, 'Active → Injured 10-Day');
+  assert.equal(events[0].status, 'Injured 10-Day');
+  assert.deepEqual(diffRosters(before, before), []);
+});
+
+test('transactionEvents skips seen transactions and orders the rest by date', () => {
+  const list = [
+    { id: 2, date: '2026-10-16', typeDesc: 'Status Change', person: { id: 691010, fullName: 'Brady Cole' }, description: 'placed on the IL' },
+    ...fixture('transactions-5101').transactions,
+  ];
+  assert.deepEqual(transactionEvents(list).map(e => e.key), ['900001', '2']);
+  const [ev] = transactionEvents(list, ['900001'], 'Glendale Desert Dogs');
+  assert.equal(ev.type, 'transaction');
+  assert.equal(ev.team, 'Glendale Desert Dogs');
+  assert.equal(ev.detail, 'placed on the IL');
+});
+
+test('rosterEventWanted matches players by person ID or name', () => {
+  const ev = { personId: 691010, playerName: 'Brady Cole' };
+  assert.equal(rosterEventWanted(ev, []), true);
+  assert.equal(rosterEventWanted(ev, [{ personId: 691010 }]), true);
+  assert.equal(rosterEventWanted(ev, [{ playerName: 'brady cole' }]), true);
+  assert.equal(rosterEventWanted(ev, [{ playerName: 'Cade Doughty' }]), false);
+});
+
+test('rejects bad roster watch requests', async () => {
+  const start = body => api('POST', '/api/watch/roster', body);
+  assert.match((await start({ events: ['entered'] })).body.error, /events must be/);
+  assert.match((await start({ rosterType: 'everyone' })).body.error, /rosterType must be/);
+  assert.match((await start({ intervalMin: 1 })).body.error, /intervalMin must be at least 5/);
+  assert.match((await start({ team: 'Peoria Javelinas' })).body.error, /Could not resolve team id/);
+  assert.match((await start({ recipients: [{ name: 'Coach', channels: [{ type: 'email', to: 'coach@example.com' }], delivery: 'digest' }] })).body.error, /Digest delivery/);
+});
+
+test('the first check records the roster, later checks email the moves', async () => {
+  const res = await api('POST', '/api/watch/roster', { team: 'Desert Dogs', emailTo: 'scout@example.com' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.targets, [{ team: 'Desert Dogs', teamId: 5101, sportId: 11 }]);
+  const { id } = res.body;
+
+  await advance(0);
+  let w = await watcher(id);
+  assert.equal(w.kind, 'roster');
+  assert.equal(w.targets[0].rosterSize, 5);
+  assert.ok(w.targets[0].nextCheckAt);
+  assert.equal(sent.length, 0);
+
+  // The IL move comes with a transaction, which is sent instead of the bare status change
+  roster = movedRoster();
+  transactions = fixture('transactions-5101');
+  transactions.transactions.push({
+    id: 900002, date: '2026-10-19', typeDesc: 'Status Change',
+    person: { id: 691010, fullName: 'Brady Cole' },
+    description: 'Glendale Desert Dogs placed RHP Brady Cole on the 10-day injured list.',
+  });
+  await advance(15 * 60 * 1000 - 1);
+  assert.equal(sent.length, 0);
+  await advance(1);
+  assert.deepEqual(sent.map(m => m.subject), [
+    'ALERT: Status Change: Brady Cole',
+    'ALERT: Kai Mercer was added to the Desert Dogs roster',
+    'ALERT: Jalen Brooks left the Desert Dogs roster',
+  ]);
+  assert.match(sent[0].text, /placed RHP Brady Cole on the 10-day injured list/);
+  assert.match(sent[1].text, /Team: Desert Dogs/);
+
+  w = await watcher(id);
+  assert.equal(w.targets[0].rosterSize, 5);
+  assert.deepEqual(w.targets[0].fired, ['transaction', 'rosterAdded', 'rosterRemoved']);
+  const { body } = await api('GET', '/api/alerts');
+  assert.equal(body.alerts[0].event, 'rosterRemoved');
+  assert.equal(body.alerts[0].watchId, id);
+
+  // Nothing new, nothing sent
+  await advance(15 * 60 * 1000);
+  assert.equal(sent.length, 3);
+  await api('POST', '/api/watch/stop', { id });
+});
+
+test('a players filter only alerts on those players', async () => {
+  roster = fixture('roster-5101');
+  transactions = fixture('transactions-5101');
+  const { body: { id } } = await api('POST', '/api/watch/roster', {
+    team: 'Glendale Desert Dogs', players: ['Jalen Brooks'], events: ['rosterRemoved', 'rosterStatus'], intervalMin: 5, emailTo: 'scout@example.com',
+  });
+  await advance(0);
+  const before = sent.length;
+
+  roster = movedRoster();
+  await advance(5 * 60 * 1000);
+  assert.deepEqual(sent.slice(before).map(m => m.subject), ['ALERT: Jalen Brooks left the Glendale Desert Dogs roster']);
+  await api('POST', '/api/watch/stop', { id });
+});
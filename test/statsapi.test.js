@@ -0,0 +1,109 @@
+// statsapi client and league lookups against a fake HTTP client serving recorded payloads
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fixture, statsError, fakeStatsapi, settle } = require('./helpers');
+const { statsGet, setHttpClient, clearStatsCache } = require('../lib/statsapi');
+const { resolveLeague, getTeamIdByName, findNearestGame, getScheduleForRange, resolveGamePkIfNeeded } = require('../lib/leagues');
+const { getStatusOnce } = require('../lib/feeds');
+
+function useStatsapi(routes) {
+  const client = fakeStatsapi(routes);
+  setHttpClient(client);
+  clearStatsCache();
+  return client;
+}
+
+const leagueRoutes = () => ({
+  '/v1/seasons': fixture('seasons'),
+  '/v1/teams': fixture('teams'),
+  '/v1/schedule': fixture('schedule-5101'),
+  '/v1.1/game/777001/feed/live': fixture('feed-live-777001'),
+});
+
+test.afterEach(() => setHttpClient(null));
+
+test('statsGet sends params and caches responses for their TTL', async () => {
+  const client = useStatsapi(leagueRoutes());
+  const first = await statsGet('/v1/teams', { sportId: 11, season: 2026 }, 60000);
+  const second = await statsGet('/v1/teams', { sportId: 11, season: 2026 }, 60000);
+  assert.equal(first, second);
+  assert.deepEqual(client.calls, [{ path: '/v1/teams', params: { sportId: 11, season: 2026 } }]);
+  // No TTL, no cache
+  await statsGet('/v1/seasons', { sportId: 11 });
+  await statsGet('/v1/seasons', { sportId: 11 });
+  assert.equal(client.calls.length, 3);
+});
+
+test('statsGet retries 5xx with backoff but not 4xx', async t => {
+  let failures = 2;
+  const client = useStatsapi({
+    '/v1/sports': () => (failures-- > 0 ? statsError(503) : { sports: [] }),
+  });
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const pending = statsGet('/v1/sports');
+  await settle();
+  assert.equal(client.calls.length, 1);
+  t.mock.timers.tick(1000);
+  await settle();
+  assert.equal(client.calls.length, 2);
+  t.mock.timers.tick(2000);
+  assert.deepEqual(await pending, { sports: [] });
+  assert.equal(client.calls.length, 3);
+
+  await assert.rejects(statsGet('/v1/people/search'), e => e.response.status === 404);
+  assert.equal(client.calls.length, 4);
+});
+
+test('resolveLeague asks statsapi for the current season', async () => {
+  const client = useStatsapi(leagueRoutes());
+  assert.deepEqual(await resolveLeague({}), { sportId: 11, season: 2026 });
+  assert.deepEqual(await resolveLeague({ sportId: '1', season: '2025' }), { sportId: 1, season: 2025 });
+  assert.deepEqual(client.calls.map(c => c.params), [{ sportId: 11 }]);
+});
+
+test('getTeamIdByName matches full names, nicknames and fragments', async () => {
+  useStatsapi(leagueRoutes());
+  assert.equal(await getTeamIdByName('Glendale Desert Dogs'), 5101);
+  assert.equal(await getTeamIdByName('scorpions'), 5102);
+  assert.equal(await getTeamIdByName('River'), 5103);
+  await assert.rejects(getTeamIdByName('Peoria Javelinas'), /Could not resolve team id/);
+});
+
+test('getScheduleForRange lists games in start order, doubleheaders included', async () => {
+  const client = useStatsapi(leagueRoutes());
+  const games = await getScheduleForRange(5101, '2026-10-18', '2026-10-22', { sportId: 11 });
+  assert.deepEqual(games.map(g => [g.gamePk, g.gameNumber, g.doubleHeader]), [
+    [776990, 1, false], [777001, 1, true], [777002, 2, true], [777010, 1, false],
+  ]);
+  assert.deepEqual(client.calls[0].params, { sportId: 11, teamId: 5101, startDate: '2026-10-18', endDate: '2026-10-22' });
+});
+
+test('findNearestGame prefers the day itself, then earlier, then later days', async () => {
+  useStatsapi(leagueRoutes());
+  // Game 1 of the doubleheader is final, so game 2 is the one to watch
+  const day = await findNearestGame(5101, '2026-10-20', { sportId: 11 });
+  assert.equal(day.gamePk, 777002);
+  assert.deepEqual(day.games.map(g => g.gamePk), [777001, 777002]);
+  assert.equal((await findNearestGame(5101, '2026-10-19', { sportId: 11 })).gamePk, 776990);
+  assert.equal((await findNearestGame(5101, '2026-10-25', { sportId: 11 })).gamePk, 777010);
+  assert.equal(await findNearestGame(5101, '2026-11-10', { sportId: 11 }), null);
+});
+
+test('resolveGamePkIfNeeded uses an explicit gamePk, simulation or the schedule', async () => {
+  const client = useStatsapi(leagueRoutes());
+  assert.equal(await resolveGamePkIfNeeded('Glendale', '2026-10-20', 777001, false), '777001');
+  assert.equal(await resolveGamePkIfNeeded('Glendale', '2026-10-20', null, true), '(simulation)');
+  assert.equal(client.calls.length, 0);
+  assert.equal(await resolveGamePkIfNeeded('Glendale', '2026-10-21', null, false), '777002');
+  await assert.rejects(resolveGamePkIfNeeded('Glendale', '2026-12-01', null, false), /No game found/);
+});
+
+test('getStatusOnce reads a player from the live feed', async () => {
+  useStatsapi(leagueRoutes());
+  const s = await getStatusOnce({ gamePk: '777001', playerName: 'Eli Santos' });
+  assert.equal(s.inGame, true);
+  assert.equal(s.side, 'away');
+  assert.deepEqual(await getStatusOnce({ simulate: true }), {
+    inGame: true, side: 'home', battingOrder: '501', position: '2B', rawGameState: 'In Progress (Simulated)',
+  });
+});
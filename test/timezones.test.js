@@ -0,0 +1,110 @@
+// Dates and alert times in the league's and the recipient's timezone, with the clock set to a late
+// Arizona evening that is already the next day in UTC
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+const { fixture, fakeStatsapi, listen, signUp, settle } = require('./helpers');
+const { createApp } = require('../lib/app');
+const { ymd, addDays } = require('../lib/util');
+const { leagueTimeZone, resolveTimeZone } = require('../lib/leagues');
+const { normalizePrefs, quietMsRemaining } = require('../lib/prefs');
+const { setHttpClient, clearStatsCache } = require('../lib/statsapi');
+
+// 10:30 PM on Oct 21 in Phoenix
+const NOW = Date.parse('2026-10-22T05:30:00Z');
+
+const statsapi = fakeStatsapi({
+  '/v1/seasons': fixture('seasons'),
+  '/v1/teams': fixture('teams'),
+  '/v1/schedule': fixture('schedule-5101'),
+});
+const sent = [];
+const mail = async msg => { sent.push(msg); };
+
+let client;
+let token;
+
+test.before(async () => {
+  client = await listen(createApp({ http: statsapi, transports: { mail } }));
+  token = await signUp(client);
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+});
+test.after(async () => {
+  mock.timers.reset();
+  await client.close();
+});
+
+const get = pathname => client.request('GET', pathname, { token });
+
+test('ymd reads the date in a timezone and addDays never goes through a local Date', () => {
+  const at = new Date(NOW);
+  assert.equal(ymd(at, 'America/Phoenix'), '2026-10-21');
+  assert.equal(ymd(at, 'UTC'), '2026-10-22');
+  assert.equal(addDays('2026-10-31', 1), '2026-11-01');
+  assert.equal(addDays('2026-11-01', -3), '2026-10-29');
+  assert.equal(addDays('2026-03-08', 1), '2026-03-09');
+});
+
+test("quiet hours without their own timezone are in the recipient's", () => {
+  const { quietHours } = normalizePrefs({ timezone: 'America/Phoenix', quietHours: { start: '22:00', end: '07:00' } }, 'Scout');
+  assert.equal(quietHours.timezone, 'America/Phoenix');
+  // 10:30 PM in Phoenix is quiet until 7 AM; 4 PM there (11 PM UTC) is not
+  assert.equal(quietMsRemaining(quietHours, new Date(NOW)), 8.5 * 60 * 60 * 1000);
+  assert.equal(quietMsRemaining(quietHours, new Date('2026-10-21T23:00:00Z')), 0);
+  const own = normalizePrefs({ timezone: 'America/Phoenix', quietHours: { start: '22:00', end: '07:00', timezone: 'UTC' } }, 'Scout');
+  assert.equal(own.quietHours.timezone, 'UTC');
+  assert.ok(quietMsRemaining(own.quietHours, new Date('2026-10-21T23:00:00Z')) > 0);
+});
+
+test('leagueTimeZone comes from the venues, resolveTimeZone prefers an explicit zone', async () => {
+  assert.equal(await leagueTimeZone({ sportId: 11 }), 'America/Phoenix');
+  assert.equal(await resolveTimeZone({ timezone: 'Asia/Tokyo' }), 'Asia/Tokyo');
+  await assert.rejects(resolveTimeZone({ timezone: 'Mars/Olympus' }), /Unknown timezone/);
+
+  // Venues without a timezone fall back to statsapi's Eastern dates
+  setHttpClient(fakeStatsapi({ '/v1/seasons': fixture('seasons'), '/v1/teams': { teams: [{ id: 1, name: 'Nowhere' }] } }));
+  clearStatsCache();
+  assert.equal(await leagueTimeZone({ sportId: 1 }), 'America/New_York');
+  setHttpClient(statsapi);
+  clearStatsCache();
+});
+
+test("gamePk lookups start from today in the league's timezone", async () => {
+  const res = await get('/api/gamePk?team=Desert%20Dogs');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.timezone, 'America/Phoenix');
+  // Nothing on the 21st in Arizona, so the day before wins over the 22nd that UTC would have picked
+  assert.equal(res.body.gamePk, 777002);
+  const schedule = statsapi.calls.filter(c => c.path === '/v1/schedule').pop();
+  assert.deepEqual([schedule.params.startDate, schedule.params.endDate], ['2026-10-18', '2026-10-24']);
+
+  assert.equal((await get('/api/gamePk?team=Desert%20Dogs&timezone=UTC')).body.gamePk, 777010);
+  assert.equal((await get('/api/gamePk?team=Desert%20Dogs&timezone=Mars%2FOlympus')).status, 400);
+
+  const { body } = await get('/api/teams');
+  assert.equal(body.timezone, 'America/Phoenix');
+  assert.equal(body.today, '2026-10-21');
+});
+
+test("alert times are rendered in each recipient's timezone and alert dates filter in the league's", async () => {
+  const res = await client.request('POST', '/api/watch/start', {
+    token,
+    body: {
+      playerName: 'Cade Doughty',
+      simulate: true,
+      recipients: [
+        { name: 'Scout', channels: [{ type: 'email', to: 'scout@example.com' }], timezone: 'America/Phoenix' },
+        { name: 'Director', channels: [{ type: 'email', to: 'director@example.com' }], timezone: 'America/New_York' },
+      ],
+    },
+  });
+  assert.equal(res.status, 200);
+  for (let i = 0; i < 50 && sent.length < 2; i++) await settle();
+  const when = to => sent.find(m => m.to === to).text.match(/When: (.*)/)[1];
+  assert.equal(when('scout@example.com'), 'Oct 21, 10:30 PM MST');
+  assert.equal(when('director@example.com'), 'Oct 22, 1:30 AM EDT');
+
+  assert.equal((await get('/api/alerts?date=2026-10-21')).body.alerts.length, 1);
+  assert.equal((await get('/api/alerts?date=2026-10-21&timezone=UTC')).body.alerts.length, 0);
+  assert.equal((await get('/api/alerts?date=2026-10-22&timezone=UTC')).body.alerts.length, 1);
+});
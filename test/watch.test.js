@@ -0,0 +1,222 @@
+// /api/watch/* with mocked timers driving the shared poller and a fake mail sender
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fixture, statsError, fakeStatsapi, signUp, watchHarness } = require('./helpers');
+const { clearStatsCache } = require('../lib/statsapi');
+const { alertsToCsv } = require('../lib/history');
+
+process.env.ALLOW_SIGNUP = '1';
+
+// What statsapi serves for game 777001 right now; diffPatch answers with the whole feed
+let frame = fixture('feed-live-777001-pregame');
+const statsapi = fakeStatsapi({
+  '/v1.1/game/777001/feed/live': () => frame,
+  '/v1.1/game/777001/feed/live/diffPatch': () => frame,
+});
+const sent = [];
+const mail = async msg => { sent.push(msg); };
+
+const harness = watchHarness({ http: statsapi, transports: { mail } });
+const { api, watcher, advance } = harness;
+
+test('rejects bad watch requests', async () => {
+  const start = body => api('POST', '/api/watch/start', { gamePk: 777001, ...body });
+  assert.equal((await start({})).status, 400);
+  assert.match((await start({ playerName: 'Cade Doughty', events: ['bunt'] })).body.error, /events must be/);
+  assert.match((await start({ playerName: 'Cade Doughty', destinations: [{ type: 'fax', to: '555' }] })).body.error, /Unknown destination type "fax"/);
+  assert.match((await start({ playerName: 'Cade Doughty', follow: true, simulate: true })).body.error, /follow cannot be combined/);
+  assert.equal((await api('POST', '/api/watch/stop', {})).status, 400);
+});
+
+test('emails once when the player enters the game, then stops', async () => {
+  const res = await api('POST', '/api/watch/start', { playerName: 'Cade Doughty', gamePk: 777001, emailTo: 'scout@example.com' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.gamePks, ['777001']);
+  const { id } = res.body;
+
+  await advance(0);
+  let w = await watcher(id);
+  assert.equal(w.targets[0].lastState, 'Pre-Game');
+  assert.equal(w.targets[0].lastInGame, false);
+  assert.ok(w.targets[0].poll.nextPollAt);
+  assert.equal(sent.length, 0);
+
+  // Pre-game polls every 30 seconds
+  frame = fixture('feed-live-777001');
+  await advance(29999);
+  assert.equal(sent.length, 0);
+  await advance(1);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'scout@example.com');
+  assert.equal(sent[0].subject, 'ALERT: Cade Doughty just entered the game');
+  assert.match(sent[0].text, /Glendale Desert Dogs vs Scottsdale Scorpions, 2-3 \(Bottom 5\)/);
+  assert.match(sent[0].html, /https:\/\/www\.mlb\.com\/gameday\/777001/);
+
+  // 'entered' is one-shot, so the watcher is done
+  assert.equal(await watcher(id), undefined);
+  const { body } = await api('GET', '/api/alerts');
+  assert.equal(body.alerts[0].event, 'entered');
+  assert.equal(body.alerts[0].watchId, id);
+  assert.deepEqual(body.alerts[0].deliveries.map(d => [d.destination, d.status]), [['email:scout@example.com', 'sent']]);
+
+  await advance(60000);
+  assert.equal(sent.length, 1);
+});
+
+test('alert history checks limit and keeps CSV cells from reading as formulas', async () => {
+  assert.match((await api('GET', '/api/alerts?limit=ten')).body.error, /limit must be/);
+  assert.equal((await api('GET', '/api/alerts?limit=0')).status, 400);
+  assert.equal((await api('GET', '/api/alerts?limit=1')).body.alerts.length, 1);
+
+  const csv = alertsToCsv([{
+    id: 'a1', at: '2026-10-21T01:00:00.000Z', playerName: '=HYPERLINK("http://x.test","Cade")', team: '+Dogs', headline: 'Cade, again',
+    deliveries: [{ channel: 'email', destination: '@scout', status: 'failed', error: '-1 bounced' }],
+  }]);
+  const row = csv.split('\n')[1];
+  assert.match(row, /,"'=HYPERLINK\(""http:\/\/x\.test"",""Cade""\)",/);
+  assert.match(row, /,'\+Dogs,/);
+  assert.match(row, /,"Cade, again",email,'@scout,failed,,'-1 bounced,/);
+});
+
+test('a started game only primes play events, later plays alert', async () => {
+  frame = fixture('feed-live-777001');
+  const { body: { id } } = await api('POST', '/api/watch/start', {
+    playerName: 'Marco Ruiz', gamePk: 777001, events: ['atBat'], emailTo: 'scout@example.com',
+  });
+  await advance(0);
+  const before = sent.length;
+  assert.equal((await watcher(id)).targets[0].lastInGame, true);
+
+  // Ruiz's at-bat completes and he comes up again two innings later
+  frame = fixture('feed-live-777001');
+  const plays = frame.liveData.plays.allPlays;
+  plays[3].about.isComplete = true;
+  plays.push({ ...structuredClone(plays[3]), about: { atBatIndex: 4, halfInning: 'bottom', inning: 7, isComplete: false }, playEvents: [] });
+  await advance(5000);
+  assert.equal(sent.length, before + 1);
+  assert.equal(sent[before].subject, 'ALERT: Marco Ruiz is coming to bat (Bot 7)');
+
+  // atBat keeps alerting until stopped
+  assert.ok(await watcher(id));
+  assert.deepEqual((await api('POST', '/api/watch/stop', { id })).body, { ok: true });
+  assert.equal(await watcher(id), undefined);
+});
+
+test('pause, resume and edits apply to a running watcher', async () => {
+  const { body: { id } } = await api('POST', '/api/watch/start', {
+    playerName: 'Cade Doughty', gamePk: 777001, events: ['homeRun'], emailTo: 'scout@example.com',
+  });
+  await advance(0);
+
+  assert.deepEqual((await api('POST', `/api/watch/${id}/pause`)).body, { ok: true, paused: true });
+  assert.equal((await watcher(id)).paused, true);
+  assert.deepEqual((await api('POST', `/api/watch/${id}/resume`)).body, { ok: true, paused: false });
+  assert.equal((await watcher(id)).paused, false);
+
+  assert.equal((await api('PATCH', `/api/watch/${id}`, { cooldownSec: -1 })).status, 400);
+  assert.equal((await api('PATCH', `/api/watch/${id}`, { events: ['homeRun', 'removed'], smsTo: '+15555550100' })).status, 200);
+  const w = await watcher(id);
+  assert.deepEqual(w.events, ['homeRun', 'removed']);
+  assert.deepEqual(w.destinations, ['sms:+15555550100']);
+
+  await api('POST', '/api/watch/stop', { id });
+});
+
+test('other users cannot see or control a watcher', async () => {
+  const { body: { id } } = await api('POST', '/api/watch/start', { playerName: 'Cade Doughty', gamePk: 777001 });
+  const other = await signUp(harness.client, 'rival');
+  assert.equal((await api('POST', `/api/watch/${id}/pause`, undefined, other)).status, 404);
+  assert.equal((await api('POST', '/api/watch/stop', { id }, other)).status, 404);
+  assert.equal((await api('GET', `/api/watch/${id}/deliveries`, undefined, other)).status, 404);
+  assert.deepEqual((await api('GET', '/api/watch', undefined, other)).body.watchers, []);
+  await api('POST', '/api/watch/stop', { id });
+});
+
+test('feed failures count against the watcher and back off', async () => {
+  frame = statsError(404, 'Object not found');
+  const { body: { id } } = await api('POST', '/api/watch/start', { playerName: 'Cade Doughty', gamePk: 777001, events: ['homeRun'] });
+  await advance(0);
+  let w = await watcher(id);
+  assert.equal(w.consecutiveErrors, 1);
+  assert.equal(w.lastError.stage, 'feed');
+  assert.equal(w.targets[0].poll.lastError.message, 'Object not found');
+
+  await advance(30000);
+  assert.equal((await watcher(id)).consecutiveErrors, 2);
+  // The second failure doubles the wait to a minute
+  await advance(59999);
+  assert.equal((await watcher(id)).consecutiveErrors, 2);
+
+  frame = fixture('feed-live-777001');
+  await advance(1);
+  w = await watcher(id);
+  assert.equal(w.consecutiveErrors, 0);
+  assert.ok(w.lastSuccessAt);
+  await api('POST', '/api/watch/stop', { id });
+});
+
+test("game summaries read the polling watcher's feed, else one cached download", async () => {
+  frame = fixture('feed-live-777001');
+  const summary = () => api('GET', '/api/game/777001/summary?playerName=Cade%20Doughty');
+  let before = statsapi.calls.length;
+  assert.equal((await summary()).body.player.lineupSlot, '3rd');
+  await summary();
+  assert.equal(statsapi.calls.length - before, 1);
+
+  const { body: { id } } = await api('POST', '/api/watch/start', { playerName: 'Cade Doughty', gamePk: 777001, events: ['homeRun'] });
+  await advance(0);
+  before = statsapi.calls.length;
+  for (let i = 0; i < 3; i++) assert.equal((await summary()).status, 200);
+  assert.equal(statsapi.calls.length, before);
+  await api('POST', '/api/watch/stop', { id });
+  clearStatsCache();
+});
+
+test('a failing watcher shows in /api/health without failing the health check', async () => {
+  frame = statsError(404, 'Object not found');
+  // The director's quiet hours run from an hour ago to an hour from now
+  const hhmm = offsetMs => new Date(Date.now() + offsetMs).toISOString().slice(11, 16);
+  const quietHours = { start: hhmm(-3600000), end: hhmm(3600000), timezone: 'UTC' };
+  const { body: { id } } = await api('POST', '/api/watch/start', {
+    playerName: 'Cade Doughty', gamePk: 777001, events: ['homeRun'],
+    recipients: [
+      { name: 'Scout', channels: [{ type: 'email', to: 'scout@example.com' }] },
+      { name: 'Director', channels: [{ type: 'email', to: 'director@example.com' }], quietHours },
+    ],
+  });
+  const before = sent.length;
+  // Backoff doubles from 30 seconds; the fifth failure in a row escalates
+  await advance(0);
+  for (const ms of [30000, 60000, 120000, 240000]) await advance(ms);
+  assert.equal((await watcher(id)).consecutiveErrors, 5);
+  // The failure notice respects quiet hours like any alert
+  assert.deepEqual(sent.slice(before).map(m => [m.to, m.subject]), [['scout@example.com', `Player Alert watcher #${id} is failing`]]);
+
+  const res = await harness.client.request('GET', '/api/health');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'degraded');
+  assert.deepEqual(res.body.failingWatchers.map(w => [w.id, w.escalated]), [[id, true]]);
+  assert.equal(res.body.heldAlerts, 1);
+  assert.match((await harness.client.request('GET', '/metrics')).text, /^player_alert_watchers_escalated 1$/m);
+  frame = fixture('feed-live-777001');
+  await api('POST', '/api/watch/stop', { id });
+});
+
+test('recordings refuse names outside the fixtures directory and stop at the final frame', async () => {
+  for (const name of ['..', '...']) assert.match((await api('POST', '/api/record/start', { gamePk: 777001, name })).body.error, /Invalid recording name/);
+  assert.equal((await api('POST', '/api/record/stop', { name: '..' })).status, 400);
+
+  frame = fixture('feed-live-777001');
+  assert.equal((await api('POST', '/api/record/start', { gamePk: 777001, name: 'afl-777001' })).status, 200);
+  await advance(0);
+  frame = fixture('feed-live-777001');
+  frame.metaData.timeStamp = '20261020_230000';
+  frame.gameData.status.detailedState = 'Final';
+  await advance(5000);
+  const rec = () => api('GET', '/api/replays').then(r => r.body.replays.find(x => x.name === 'afl-777001'));
+  assert.equal((await rec()).recording, false);
+  const { frames } = await rec();
+  await advance(60000);
+  assert.equal((await rec()).frames, frames);
+  assert.equal(frames, 2);
+});